@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+// stdout carries the MCP protocol, so route the services' console.log chatter to stderr
+console.log = console.error;
+
+const Team = require('./src/models/Team');
+const McpService = require('./src/services/mcpService');
+
+// Stdio MCP server - exposes the same Salesforce tools the Slack bot uses
+async function main() {
+  let team = null;
+
+  if (process.env.MCP_TEAM_ID) {
+    try {
+      team = await Team.findById(process.env.MCP_TEAM_ID);
+      console.log('Team found:', !!team, team?.salesforce_access_token ? 'with SF token' : 'no SF token');
+    } catch (error) {
+      console.error('Database connection failed, continuing without team data:', error.message);
+    }
+  } else {
+    console.error('MCP_TEAM_ID not set - Salesforce tools will report "not connected"');
+  }
+
+  const { StdioServerTransport } = await import('@modelcontextprotocol/sdk/server/stdio.js');
+
+  const mcpService = new McpService(team);
+  const server = await mcpService.createServer();
+  await server.connect(new StdioServerTransport());
+
+  console.log('⚡️ Salesforce MCP server running on stdio');
+}
+
+main().catch(error => {
+  console.error('MCP server failed to start:', error);
+  process.exit(1);
+});
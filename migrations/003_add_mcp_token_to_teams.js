@@ -0,0 +1,11 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.string('mcp_token_hash').unique();
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.dropColumn('mcp_token_hash');
+  });
+};
@@ -0,0 +1,13 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.string('salesforce_login_domain').defaultTo('login.salesforce.com');
+    table.string('salesforce_api_version').defaultTo('v58.0');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.dropColumn('salesforce_login_domain');
+    table.dropColumn('salesforce_api_version');
+  });
+};
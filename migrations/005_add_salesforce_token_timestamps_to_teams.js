@@ -0,0 +1,13 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.timestamp('salesforce_token_issued_at');
+    table.timestamp('salesforce_token_expires_at');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.dropColumn('salesforce_token_issued_at');
+    table.dropColumn('salesforce_token_expires_at');
+  });
+};
@@ -0,0 +1,15 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.string('jira_base_url');
+    table.string('jira_email');
+    table.text('jira_api_token');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.dropColumn('jira_base_url');
+    table.dropColumn('jira_email');
+    table.dropColumn('jira_api_token');
+  });
+};
@@ -0,0 +1,20 @@
+// Jira is connected through Atlassian OAuth 2.0 (3LO) instead of a personal API token.
+// jira_email and jira_api_token from 006 stay so teams that connected with a token can be told to
+// reconnect; Team.updateJiraCredentials clears them once a team has.
+exports.up = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.string('jira_cloud_id');
+    table.text('jira_access_token');
+    table.text('jira_refresh_token');
+    table.timestamp('jira_token_expires_at');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.dropColumn('jira_cloud_id');
+    table.dropColumn('jira_access_token');
+    table.dropColumn('jira_refresh_token');
+    table.dropColumn('jira_token_expires_at');
+  });
+};
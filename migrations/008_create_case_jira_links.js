@@ -0,0 +1,17 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('case_jira_links', table => {
+    table.increments('id').primary();
+    table.string('team_id').references('id').inTable('teams').onDelete('CASCADE');
+    table.string('salesforce_case_id').notNullable();
+    table.string('salesforce_case_number');
+    table.string('jira_issue_key').notNullable();
+    table.string('jira_issue_id');
+    table.timestamps(true, true);
+    table.unique(['team_id', 'salesforce_case_id', 'jira_issue_key']);
+    table.index(['team_id', 'jira_issue_key']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('case_jira_links');
+};
@@ -0,0 +1,14 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    // Case field that create_jira_from_case writes the issue key back to (e.g. Jira_Key__c)
+    table.string('jira_case_key_field');
+    table.string('jira_default_project');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.dropColumn('jira_case_key_field');
+    table.dropColumn('jira_default_project');
+  });
+};
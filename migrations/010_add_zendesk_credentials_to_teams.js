@@ -0,0 +1,15 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.string('zendesk_subdomain');
+    table.string('zendesk_email');
+    table.text('zendesk_api_token');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('teams', table => {
+    table.dropColumn('zendesk_subdomain');
+    table.dropColumn('zendesk_email');
+    table.dropColumn('zendesk_api_token');
+  });
+};
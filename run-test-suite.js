@@ -188,11 +188,11 @@ class TestRunner {
               }
 
               // Show sample data
-              if (executionResult.data.cases && executionResult.data.cases.length > 0) {
-                console.log(`📋 Sample Case:`, JSON.stringify(executionResult.data.cases[0], null, 2));
+              if (executionResult.data.Case && executionResult.data.Case.length > 0) {
+                console.log(`📋 Sample Case:`, JSON.stringify(executionResult.data.Case[0], null, 2));
               }
-              if (executionResult.data.accounts && executionResult.data.accounts.length > 0) {
-                console.log(`🏢 Sample Account:`, JSON.stringify(executionResult.data.accounts[0], null, 2));
+              if (executionResult.data.Account && executionResult.data.Account.length > 0) {
+                console.log(`🏢 Sample Account:`, JSON.stringify(executionResult.data.Account[0], null, 2));
               }
             }
           }
@@ -5,7 +5,15 @@ const Team = require('./models/Team');
 const SalesforceService = require('./services/salesforce');
 const MultiSourceService = require('./services/multiSourceService');
 const ToolService = require('./services/toolService');
+const JiraService = require('./services/jiraService');
+const ZendeskService = require('./services/zendeskService');
+const { getSlackPromptTemplates, renderPrompt } = require('./services/promptTemplates');
+const { isIdentifier } = require('./services/queryBuilder');
+const { signSetupToken, verifySetupToken } = require('./services/encryption');
+const { getConnectorClass } = require('./services/connectors');
+const { escapeMrkdwn } = require('./services/adfConverter');
 const oauthRoutes = require('./routes/oauth');
+const mcpRoutes = require('./routes/mcp');
 const db = require('./database');
 
 const port = process.env.PORT || 3000;
@@ -16,7 +24,8 @@ const receiver = new ExpressReceiver({
   clientId: process.env.SLACK_CLIENT_ID,
   clientSecret: process.env.SLACK_CLIENT_SECRET,
   stateSecret: 'my-state-secret',
-  scopes: ['commands', 'chat:write', 'users:read'],
+  // Keep in sync with /oauth/slack/install; users:read.email maps Slack users to Salesforce and Jira accounts
+  scopes: ['commands', 'chat:write', 'users:read', 'users:read.email'],
   installationStore: {
     storeInstallation: async (installation) => {
       const teamId = installation.team.id;
@@ -47,13 +56,27 @@ const slackApp = new App({
 // Store for pending plans (in production, use Redis or database)
 global.pendingPlans = global.pendingPlans || {};
 
+// Workspace-wide settings are limited to the user who installed the app and Slack workspace admins
+async function canManageWorkspace(client, team, userId) {
+  if (team?.slack_user_id === userId) {
+    return true;
+  }
+  try {
+    const { user } = await client.users.info({ user: userId });
+    return Boolean(user?.is_admin || user?.is_owner);
+  } catch (error) {
+    console.error('Slack admin check failed:', error.message);
+    return false;
+  }
+}
+
 // Station slash command handler - AI-powered multi-source search with Claude Code-like planning
 slackApp.command('/station', async ({ command, ack, respond, context, client }) => {
   await ack();
   
   const userPrompt = command.text.trim();
   if (!userPrompt) {
-    await respond('Usage: `/station [describe what you\'re looking for]`\nExample: `/station customer billing issues from last week`\n\nOr approve a plan: `/station approve` to execute the proposed plan.\nOr ask follow-up questions: `/station ask [your question]`\n\n💬 **Tip:** You can also DM me directly for follow-up questions after a search!');
+    await respond('Usage: `/station [describe what you\'re looking for]`\nExample: `/station customer billing issues from last week`\n\nOr approve a plan: `/station approve` to execute the proposed plan.\nOr ask follow-up questions: `/station ask [your question]`\nOr get a token for remote MCP agents: `/station mcp-token`\nOr change Jira and Zendesk settings: `/station setup`\n\n💬 **Tip:** You can also DM me directly for follow-up questions after a search!');
     return;
   }
 
@@ -61,6 +84,65 @@ slackApp.command('/station', async ({ command, ack, respond, context, client })
   const userId = command.user_id;
   const planKey = `${teamId}_${userId}`;
 
+  // Issue a bearer token for the HTTP MCP endpoint (shown only to the requesting user)
+  if (userPrompt.toLowerCase() === 'mcp-token') {
+    try {
+      const team = await Team.findById(teamId);
+      if (!await canManageWorkspace(client, team, userId)) {
+        await respond({
+          text: "🔒 Only the user who installed the app or a workspace admin can generate the MCP token.",
+          response_type: "ephemeral"
+        });
+        return;
+      }
+
+      const token = await Team.generateMcpToken(teamId);
+      await respond({
+        text: `🔑 **MCP token generated.** Any previous token for this workspace no longer works.\n\n` +
+              `• SSE endpoint: \`${process.env.APP_URL}/mcp/sse\`\n` +
+              `• Header: \`Authorization: Bearer ${token}\`\n\n` +
+              `⚠️ This token can query your Salesforce org - store it like a password.`,
+        response_type: "ephemeral"
+      });
+    } catch (error) {
+      console.error('MCP token error:', error);
+      await respond({
+        text: `❌ **Failed to generate MCP token:** ${error.message}`,
+        response_type: "ephemeral"
+      });
+    }
+    return;
+  }
+
+  // Signed setup links for the settings pages (shown only to the requesting user)
+  if (userPrompt.toLowerCase() === 'setup') {
+    try {
+      const team = await Team.findById(teamId);
+      if (!await canManageWorkspace(client, team, userId)) {
+        await respond({
+          text: "🔒 Only the user who installed the app or a workspace admin can change integration settings.",
+          response_type: "ephemeral"
+        });
+        return;
+      }
+
+      const query = `team_id=${encodeURIComponent(teamId)}&token=${encodeURIComponent(signSetupToken(teamId, userId))}`;
+      await respond({
+        text: `🔧 **Integration settings** (links expire in 15 minutes):\n\n` +
+              `• <${process.env.APP_URL}/setup/jira?${query}|Jira connection and escalation settings>\n` +
+              `• <${process.env.APP_URL}/setup/zendesk?${query}|Zendesk connection>`,
+        response_type: "ephemeral"
+      });
+    } catch (error) {
+      console.error('Setup link error:', error);
+      await respond({
+        text: `❌ **Failed to create setup links:** ${error.message}`,
+        response_type: "ephemeral"
+      });
+    }
+    return;
+  }
+
   // Check if user is approving a plan
   if (userPrompt.toLowerCase() === 'approve') {
     const pendingPlan = global.pendingPlans[planKey];
@@ -80,7 +162,7 @@ slackApp.command('/station', async ({ command, ack, respond, context, client })
     });
 
     try {
-      const toolService = new ToolService(pendingPlan.team);
+      const toolService = new ToolService(pendingPlan.team, { slackClient: client, slackUserId: userId });
       
       // Execute each tool and show progress
       const toolResults = [];
@@ -108,15 +190,17 @@ slackApp.command('/station', async ({ command, ack, respond, context, client })
       }
       
       // Format final results
-      let finalResponse = "📋 **Results:**\n\n";
-      finalResponse += formatToolResults(toolResults);
+      await sendToolResults(
+        message => client.chat.postMessage({ channel: command.channel_id, thread_ts: command.ts, ...message }),
+        "📋 **Results:**\n\n",
+        toolResults,
+        pendingPlan.team
+      );
       
       // Add conversation continuation
-      finalResponse += "\n💬 **Continue the conversation:** Type `/station ask [question]` to analyze these results further.";
-      
       await client.chat.postMessage({
         channel: command.channel_id,
-        text: finalResponse,
+        text: "💬 **Continue the conversation:** Type `/station ask [question]` to analyze these results further.",
         thread_ts: command.ts
       });
       
@@ -358,6 +442,21 @@ function getToolDescription(toolName) {
     'search_records': 'Search Salesforce objects with keywords and filters',
     'analyze_record': 'Deep analysis of specific records with AI insights',
     'cross_object_search': 'Search across multiple Salesforce objects',
+    'run_report': 'Run a saved Salesforce report',
+    'aggregate_salesforce': 'Count or total Salesforce records',
+    'get_record_details': 'Fetch a record with its comments, emails and activities',
+    'search_knowledge': 'Search Knowledge articles',
+    'search_jira': 'Search Jira issues',
+    'search_zendesk': 'Search Zendesk tickets',
+    'get_chatter_feed': 'Read a record\'s Chatter feed',
+    'post_chatter': '✏️ Post to a record\'s Chatter feed',
+    'create_jira_from_case': '✏️ Create a Jira issue from a case',
+    'add_jira_comment': '✏️ Comment on a Jira issue',
+    'transition_jira_issue': '✏️ Change a Jira issue\'s status',
+    'assign_jira_issue': '✏️ Assign a Jira issue',
+    'create_case': '✏️ Create a Salesforce case',
+    'update_case_status': '✏️ Change a Salesforce case status',
+    'add_case_comment': '✏️ Add a comment to a Salesforce case',
     'conversational_response': 'Provide helpful guidance'
   };
   return descriptions[toolName] || 'Execute tool';
@@ -374,97 +473,79 @@ function formatToolResults(toolResults) {
     } else if (result.toolName === 'ask_clarification') {
       responseText = `❓ **Need more info:** ${result.data}`;
       break;
-    } else if (result.success && result.toolName === 'search_salesforce') {
-      // Show the tool call details
-      responseText += `🔧 **Tool Call:** \`search_salesforce\`\n`;
-      responseText += `🔍 **Query:** "${result.parameters?.query || 'N/A'}"\n`;
-      
-      if (result.parameters?.objectTypes) {
-        responseText += `📊 **Objects:** ${result.parameters.objectTypes.join(', ')}\n`;
+    } else if (result.success && result.message) {
+      // Write tools report what they changed
+      responseText += `✅ **${result.message}**`;
+      if (result.data?.url) {
+        responseText += ` (<${result.data.url}|${result.data.linkLabel || 'open in Salesforce'}>)`;
       }
-      if (result.parameters?.timeRange) {
-        responseText += `⏰ **Time Range:** ${result.parameters.timeRange}\n`;
-      }
-      if (result.parameters?.keywords && result.parameters.keywords.length > 0) {
-        responseText += `🔑 **Keywords:** ${result.parameters.keywords.join(', ')}\n`;
+      responseText += '\n\n';
+    } else if (result.success && result.toolName === 'aggregate_salesforce') {
+      responseText += formatAggregateResult(result.data);
+    } else if (result.success && result.toolName === 'search_knowledge') {
+      const articles = result.data.articles;
+      if (articles.length === 0) {
+        responseText += `📚 No Knowledge articles found for "${result.parameters?.query}".\n\n`;
+        continue;
       }
-      
-      responseText += `🎯 **Strategy:** ${result.searchStrategy || 'Unknown'}\n\n`;
-      
-      const data = result.data;
-      let totalResults = 0;
-      
-      // Count total results
-      Object.keys(data).forEach(key => {
-        if (data[key] && data[key].length > 0) {
-          totalResults += data[key].length;
+      responseText += `📚 **Knowledge Articles (${articles.length}):**\n`;
+      articles.forEach((article, index) => {
+        responseText += `${index + 1}. <${article.url}|${escapeMrkdwn(article.title)}> (${article.articleNumber})\n`;
+        if (article.summary) {
+          responseText += `   ${escapeMrkdwn(article.summary.substring(0, 200))}\n`;
         }
       });
-      
-      if (totalResults === 0) {
-        responseText += `❌ No results found. Try different keywords or broader search terms.\n\n`;
+      responseText += '\n';
+    } else if (result.success && result.toolName === 'search_jira') {
+      const { issues, total, startAt, siteUrl } = result.data;
+      if (issues.length === 0) {
+        responseText += `🎯 No Jira issues found.\n\n`;
         continue;
       }
-      
-      responseText += `📊 **Found ${totalResults} results**\n\n`;
-      
-      // Show cases with Salesforce links
-      if (data.cases && data.cases.length > 0) {
-        responseText += `📋 **Cases (${data.cases.length}):**\n`;
-        data.cases.forEach((case_, index) => {
-          const sfUrl = `https://orgfarm-9be6ff69a6-dev-ed.develop.my.salesforce.com/${case_.Id}`;
-          responseText += `${index + 1}. <${sfUrl}|${case_.CaseNumber || case_.Id}>: ${case_.Subject || 'No Subject'} (${case_.Status || 'Unknown'})\n`;
-          
-          // Show days ago instead of created date
-          if (case_.CreatedDate) {
-            const daysAgo = Math.floor((Date.now() - new Date(case_.CreatedDate)) / (1000 * 60 * 60 * 24));
-            responseText += `   📅 Created: ${daysAgo} days ago\n`;
-          }
-          
-          // Show account value instead of priority
-          if (case_.Account && case_.Account.AnnualRevenue) {
-            const revenue = Number(case_.Account.AnnualRevenue).toLocaleString();
-            responseText += `   💰 Account Value: $${revenue}\n`;
-          }
-          
-          // Show account name
-          if (case_.Account && case_.Account.Name) {
-            responseText += `   🏢 Account: ${case_.Account.Name}\n`;
-          }
-        });
-        responseText += '\n';
+      responseText += formatJiraSearchHeading(result.data);
+      issues.forEach(issue => {
+        const assignee = escapeMrkdwn(issue.fields.assignee?.displayName || 'Unassigned');
+        responseText += `• <${siteUrl}/browse/${issue.key}|${issue.key}>: ${escapeMrkdwn(issue.fields.summary || 'No Summary')} (${issue.fields.status?.name || 'Unknown'}, ${assignee})\n`;
+      });
+      responseText += formatJiraSearchMore(result.data) + '\n';
+    } else if (result.success && result.toolName === 'search_zendesk') {
+      const { tickets, siteUrl } = result.data;
+      if (tickets.length === 0) {
+        responseText += `🎫 No unsolved Zendesk tickets found for "${result.parameters?.query}".\n\n`;
+        continue;
       }
-      
-      // Show opportunities
-      if (data.opportunities && data.opportunities.length > 0) {
-        responseText += `💰 **Opportunities (${data.opportunities.length}):**\n`;
-        data.opportunities.forEach((opp, index) => {
-          const sfUrl = `https://orgfarm-9be6ff69a6-dev-ed.develop.my.salesforce.com/${opp.Id}`;
-          const amount = opp.Amount ? `$${Number(opp.Amount).toLocaleString()}` : 'No amount';
-          responseText += `${index + 1}. <${sfUrl}|${opp.Name}>: ${amount} (${opp.StageName || 'Unknown Stage'})\n`;
-        });
-        responseText += '\n';
+      responseText += `🎫 **Zendesk Tickets (${tickets.length}):**\n`;
+      tickets.forEach(ticket => {
+        const requester = escapeMrkdwn(ticket.requester?.name || 'No Requester');
+        responseText += `• <${siteUrl}/agent/tickets/${ticket.id}|#${ticket.id}>: ${escapeMrkdwn(ticket.subject || 'No Subject')} (${ticket.status}, ${requester})\n`;
+      });
+      responseText += '\n';
+    } else if (result.success && result.toolName === 'get_chatter_feed') {
+      const feed = result.data.feed;
+      responseText += `🗨️ **<${result.data.url}|Chatter feed> (${feed.length}):**\n`;
+      if (feed.length === 0) {
+        responseText += 'No Chatter posts yet.\n';
       }
-      
-      // Show accounts
-      if (data.accounts && data.accounts.length > 0) {
-        responseText += `🏢 **Accounts (${data.accounts.length}):**\n`;
-        data.accounts.forEach((account, index) => {
-          const sfUrl = `https://orgfarm-9be6ff69a6-dev-ed.develop.my.salesforce.com/${account.Id}`;
-          responseText += `${index + 1}. <${sfUrl}|${account.Name}> (${account.Industry || 'Unknown Industry'})\n`;
+      feed.forEach(item => {
+        responseText += `• ${new Date(item.createdDate).toLocaleDateString()} ${escapeMrkdwn(item.author)}: ${escapeMrkdwn(item.text.substring(0, 300))}\n`;
+        item.comments.slice(-3).forEach(comment => {
+          responseText += `   ↳ ${escapeMrkdwn(comment.author)}: ${escapeMrkdwn(comment.text.substring(0, 200))}\n`;
         });
-        responseText += '\n';
-      }
+      });
+      responseText += '\n';
+    } else if (result.success && result.toolName === 'get_record_details') {
+      responseText += formatRecordDetails(result.data).join('\n') + '\n';
+    } else if (result.success && result.toolName === 'run_report') {
+      responseText += formatReportResult(result.data);
+    } else if (result.success && result.toolName === 'search_salesforce') {
+      responseText += formatSalesforceSearchSummary(result);
       
-      // Show contacts
-      if (data.contacts && data.contacts.length > 0) {
-        responseText += `👤 **Contacts (${data.contacts.length}):**\n`;
-        data.contacts.forEach((contact, index) => {
-          const sfUrl = `https://orgfarm-9be6ff69a6-dev-ed.develop.my.salesforce.com/${contact.Id}`;
-          responseText += `${index + 1}. <${sfUrl}|${contact.Name}> (${contact.Email || 'No email'})\n`;
-        });
-        responseText += '\n';
-      }
+      // Show each object type with Salesforce links
+      Object.entries(result.data).forEach(([objectType, records]) => {
+        if (records && records.length > 0) {
+          responseText += formatRecordSection(objectType, records, result.instanceUrl);
+        }
+      });
       
       // Show AI analysis if present
       if (result.deepAnalysis) {
@@ -477,11 +558,356 @@ function formatToolResults(toolResults) {
   
   return responseText;
 }
+// Helper function to format the tool call details and result count of a search_salesforce call
+function formatSalesforceSearchSummary(result) {
+  // Show the tool call details
+  let summaryText = `🔧 **Tool Call:** \`search_salesforce\`\n`;
+  summaryText += `🔍 **Query:** "${result.parameters?.query || 'N/A'}"\n`;
+  
+  if (result.parameters?.objectTypes) {
+    summaryText += `📊 **Objects:** ${result.parameters.objectTypes.join(', ')}\n`;
+  }
+  if (result.parameters?.timeRange) {
+    summaryText += `⏰ **Time Range:** ${result.parameters.timeRange}\n`;
+  }
+  if (result.parameters?.keywords && result.parameters.keywords.length > 0) {
+    summaryText += `🔑 **Keywords:** ${result.parameters.keywords.join(', ')}\n`;
+  }
+  
+  summaryText += `🎯 **Strategy:** ${result.searchStrategy || 'Unknown'}\n\n`;
+  
+  // Count total results
+  const totalResults = Object.values(result.data).reduce((total, records) => total + (records?.length || 0), 0);
+  
+  if (totalResults === 0) {
+    return summaryText + `❌ No results found. Try different keywords or broader search terms.\n\n`;
+  }
+  
+  return summaryText + `📊 **Found ${totalResults} results**\n\n`;
+}
+
+// Slack allows 50 blocks per message and 3000 characters per section
+const MAX_MESSAGE_BLOCKS = 50;
+const MAX_SECTION_LENGTH = 3000;
+
+// Split text into section blocks at line breaks
+function textSections(text) {
+  const sections = [];
+  let current = '';
+  text.trim().split('\n').forEach(line => {
+    if (current && current.length + line.length + 1 > MAX_SECTION_LENGTH) {
+      sections.push(current);
+      current = '';
+    }
+    current += (current ? '\n' : '') + line.substring(0, MAX_SECTION_LENGTH);
+  });
+  if (current.trim()) {
+    sections.push(current);
+  }
+  return sections.map(section => ({ type: 'section', text: { type: 'mrkdwn', text: section } }));
+}
+
+function formatJiraSearchHeading({ issues, total, startAt }) {
+  return `🎯 **Jira Issues (${startAt + 1}-${startAt + issues.length} of ${total}):**\n`;
+}
+
+function formatJiraSearchMore({ issues, total, startAt }) {
+  if (startAt + issues.length >= total) {
+    return '';
+  }
+  return `_More results available - ask for the next page (startAt=${startAt + issues.length})._\n`;
+}
+
+// One block per record, rendered by the record's connector so it carries its actions (e.g. the View button)
+async function formatConnectorBlocks(connectorId, team, records) {
+  const connector = new (getConnectorClass(connectorId))(team);
+  const items = await connector.attachLinks(records.map(record => connector.normalize(record)));
+  return items.map(item => connector.format(item));
+}
+
+// Blocks version of formatToolResults, for results with per-record buttons
+async function formatToolResultBlocks(toolResults, team) {
+  const blocks = [];
+  
+  for (const result of toolResults) {
+    if (result.success && result.toolName === 'search_salesforce') {
+      blocks.push(...textSections(formatSalesforceSearchSummary(result)));
+      for (const [objectType, records] of Object.entries(result.data)) {
+        if (!records || records.length === 0) {
+          continue;
+        }
+        if (objectType === 'Case') {
+          blocks.push(...textSections(`📋 **Cases (${records.length}):**`));
+          blocks.push(...await formatConnectorBlocks('salesforce', team, records));
+        } else {
+          blocks.push(...textSections(formatRecordSection(objectType, records, result.instanceUrl)));
+        }
+      }
+      if (result.deepAnalysis) {
+        blocks.push(...textSections(`🧠 **AI Analysis:**\n${result.deepAnalysis}`));
+      }
+    } else if (result.success && result.toolName === 'search_jira' && result.data.issues.length > 0) {
+      // Each issue carries the comment / change status / assign menu
+      blocks.push(...textSections(formatJiraSearchHeading(result.data)));
+      blocks.push(...await formatConnectorBlocks('jira', team, result.data.issues));
+      const more = formatJiraSearchMore(result.data);
+      if (more) {
+        blocks.push(...textSections(more));
+      }
+    } else if (result.success && result.toolName === 'search_zendesk' && result.data.tickets.length > 0) {
+      blocks.push(...textSections(`🎫 **Zendesk Tickets (${result.data.tickets.length}):**`));
+      blocks.push(...await formatConnectorBlocks('zendesk', team, result.data.tickets));
+    } else {
+      blocks.push(...textSections(formatToolResults([result])));
+      if (result.toolName === 'direct_response' || result.toolName === 'ask_clarification') {
+        break;
+      }
+    }
+  }
+  
+  return blocks;
+}
+
+// Post tool results as blocks, split over several messages if needed, falling back to plain text
+async function sendToolResults(send, heading, toolResults, team) {
+  const text = heading + formatToolResults(toolResults);
+  let sentBlocks = false;
+  try {
+    const blocks = [...textSections(heading), ...await formatToolResultBlocks(toolResults, team)];
+    for (let start = 0; start < blocks.length; start += MAX_MESSAGE_BLOCKS) {
+      await send({
+        text: start === 0 ? text : heading,
+        blocks: blocks.slice(start, start + MAX_MESSAGE_BLOCKS)
+      });
+      sentBlocks = true;
+    }
+  } catch (blockError) {
+    console.error('Failed to send result blocks:', blockError);
+    // The first message carries the full text, so only fall back when nothing was sent
+    if (!sentBlocks) {
+      await send({ text });
+    }
+  }
+}
+
+// Helper function to format one object type's search results
+function formatRecordSection(objectType, records, instanceUrl) {
+  const recordUrl = record => `${instanceUrl}/${record.Id}`;
+  let sectionText = '';
+  
+  switch (objectType) {
+    case 'Case':
+      sectionText += `📋 **Cases (${records.length}):**\n`;
+      records.forEach((case_, index) => {
+        sectionText += `${index + 1}. <${recordUrl(case_)}|${case_.CaseNumber || case_.Id}>: ${escapeMrkdwn(case_.Subject || 'No Subject')} (${escapeMrkdwn(case_.Status || 'Unknown')})\n`;
+        
+        // Show days ago instead of created date
+        if (case_.CreatedDate) {
+          const daysAgo = Math.floor((Date.now() - new Date(case_.CreatedDate)) / (1000 * 60 * 60 * 24));
+          sectionText += `   📅 Created: ${daysAgo} days ago\n`;
+        }
+        
+        // Show account value instead of priority
+        if (case_.Account && case_.Account.AnnualRevenue) {
+          const revenue = Number(case_.Account.AnnualRevenue).toLocaleString();
+          sectionText += `   💰 Account Value: $${revenue}\n`;
+        }
+        
+        // Show account name
+        if (case_.Account && case_.Account.Name) {
+          sectionText += `   🏢 Account: ${escapeMrkdwn(case_.Account.Name)}\n`;
+        }
+      });
+      break;
+    case 'Opportunity':
+      sectionText += `💰 **Opportunities (${records.length}):**\n`;
+      records.forEach((opp, index) => {
+        const amount = opp.Amount ? `$${Number(opp.Amount).toLocaleString()}` : 'No amount';
+        sectionText += `${index + 1}. <${recordUrl(opp)}|${escapeMrkdwn(opp.Name)}>: ${amount} (${escapeMrkdwn(opp.StageName || 'Unknown Stage')})\n`;
+      });
+      break;
+    case 'Account':
+      sectionText += `🏢 **Accounts (${records.length}):**\n`;
+      records.forEach((account, index) => {
+        sectionText += `${index + 1}. <${recordUrl(account)}|${escapeMrkdwn(account.Name)}> (${escapeMrkdwn(account.Industry || 'Unknown Industry')})\n`;
+      });
+      break;
+    case 'Contact':
+      sectionText += `👤 **Contacts (${records.length}):**\n`;
+      records.forEach((contact, index) => {
+        sectionText += `${index + 1}. <${recordUrl(contact)}|${escapeMrkdwn(contact.Name)}> (${escapeMrkdwn(contact.Email || 'No email')})\n`;
+      });
+      break;
+    default:
+      // Any other standard or custom object: title plus the first few populated fields
+      sectionText += `📁 **${objectType} (${records.length}):**\n`;
+      records.forEach((record, index) => {
+        const title = record.Name || record.Subject || record.CaseNumber || record.Id;
+        const details = Object.entries(record)
+          .filter(([field, value]) => !['attributes', 'Id', 'Name', 'Subject'].includes(field) && value !== null && typeof value !== 'object')
+          .slice(0, 3)
+          .map(([field, value]) => `${field}: ${escapeMrkdwn(value)}`)
+          .join(' • ');
+        sectionText += `${index + 1}. <${recordUrl(record)}|${escapeMrkdwn(title)}>${details ? ` (${details})` : ''}\n`;
+      });
+  }
+  
+  return sectionText + '\n';
+}
+
+// Helper function to format a record and its related lists, one text chunk per section
+function formatRecordDetails(data) {
+  const { objectType, record, url, relatedLists } = data;
+  const truncate = (text, length) => {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return escapeMrkdwn(value.length > length ? `${value.substring(0, length)}...` : value);
+  };
+  const formatDate = value => value ? new Date(value).toLocaleDateString() : '';
+
+  const title = record.CaseNumber ? `Case ${record.CaseNumber}` : `${objectType}: ${escapeMrkdwn(record.Name || record.Subject || record.Id)}`;
+  const highlightFields = ['Subject', 'Status', 'Priority', 'StageName', 'Amount', 'CloseDate', 'Origin', 'Type', 'Industry', 'Email', 'Phone', 'CreatedDate'];
+
+  let details = `📄 *<${url}|${title}>*\n`;
+  highlightFields
+    .filter(field => record[field] !== null && record[field] !== undefined)
+    .forEach(field => {
+      details += `• ${field}: ${field.endsWith('Date') ? formatDate(record[field]) : escapeMrkdwn(record[field])}\n`;
+    });
+  if (record.Description) {
+    details += `📝 ${truncate(record.Description, 500)}\n`;
+  }
+
+  const listFormats = {
+    CaseComments: ['💬 Case Comments', comment =>
+      `${formatDate(comment.CreatedDate)} ${escapeMrkdwn(comment.CreatedBy?.Name || 'Unknown')} (${comment.IsPublished ? 'public' : 'internal'}): ${truncate(comment.CommentBody, 300)}`],
+    EmailMessages: ['✉️ Emails', email =>
+      `${formatDate(email.MessageDate)} ${email.Incoming ? '📥' : '📤'} ${escapeMrkdwn(email.FromAddress || 'Unknown')}: ${escapeMrkdwn(email.Subject || 'No Subject')} — ${truncate(email.TextBody, 200)}`],
+    Tasks: ['✅ Activities', task =>
+      `${formatDate(task.ActivityDate || task.CreatedDate)} ${escapeMrkdwn(task.Subject || 'No Subject')} (${task.Status || 'Unknown'})${task.Owner?.Name ? ` — ${escapeMrkdwn(task.Owner.Name)}` : ''}`],
+    OpportunityLineItems: ['📦 Products', item =>
+      `${escapeMrkdwn(item.Product2?.Name || 'Product')} × ${item.Quantity} = ${Number(item.TotalPrice || 0).toLocaleString()}`]
+  };
+
+  const sections = [details];
+  Object.entries(relatedLists).forEach(([name, records]) => {
+    const [label, formatItem] = listFormats[name] || [`📁 ${name}`, item =>
+      `${escapeMrkdwn(item.CaseNumber || item.Name || item.Subject || item.Id)}${item.Status || item.StageName ? ` (${item.Status || item.StageName})` : ''}`];
+
+    let text = `*${label} (${records.length}):*\n`;
+    text += records.length > 0 ? records.map(item => `• ${formatItem(item)}`).join('\n') : '_None_';
+    sections.push(text + '\n');
+  });
+
+  return sections;
+}
+
+// Helper function to describe an aggregate, e.g. "Sum of Amount (Opportunity) by StageName"
+function describeAggregate(data) {
+  const metricLabels = { count: 'Count', sum: 'Sum', avg: 'Average', min: 'Minimum', max: 'Maximum' };
+  let description = `${metricLabels[data.metric] || data.metric}${data.field ? ` of ${data.field}` : ''} (${data.objectType})`;
+  if (data.groupBy.length > 0) {
+    description += ` by ${data.groupBy.join(', ')}`;
+  }
+  return description;
+}
+
+function formatAggregateValue(value) {
+  return typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 2 }) : String(value);
+}
+
+// Helper function to format an aggregate result
+function formatAggregateResult(data) {
+  let text = `🧮 **${describeAggregate(data)}:** ${formatAggregateValue(data.total)}\n`;
+
+  data.groups.slice(0, 25).forEach(group => {
+    const label = group.keys.map(key => key === null ? '(blank)' : escapeMrkdwn(key)).join(' / ');
+    text += `• ${label}: ${formatAggregateValue(group.value)}\n`;
+  });
+  if (data.groups.length > 25) {
+    text += `_…and ${data.groups.length - 25} more groups_\n`;
+  }
+  if (data.truncated) {
+    text += `⚠️ Only the top ${data.groups.length} groups were returned.\n`;
+  }
+
+  return text + '\n';
+}
+
+// Helper function to format a report run (or the list of reports to pick from)
+function formatReportResult(data) {
+  if (data.reports) {
+    let text = data.notFound
+      ? `❓ **No report matching "${data.notFound}".** Recently viewed reports:\n`
+      : `📈 **Reports (${data.reports.length}):**\n`;
+    if (data.reports.length === 0) {
+      return text + 'No reports found.\n\n';
+    }
+    data.reports.slice(0, 20).forEach((report, index) => {
+      text += `${index + 1}. <${report.url}|${escapeMrkdwn(report.name)}>${report.folderName ? ` (${escapeMrkdwn(report.folderName)})` : ''}\n`;
+    });
+    return text + '\n';
+  }
+
+  const formatAggregates = aggregates => aggregates.map(aggregate => `${escapeMrkdwn(aggregate.label)}: ${escapeMrkdwn(aggregate.value)}`).join(' • ');
+  let text = `📈 **Report:** <${data.report.url}|${escapeMrkdwn(data.report.name)}>\n`;
+
+  if (data.filters.length > 0) {
+    text += `🔎 **Filters:** ${data.filters.map(filter => escapeMrkdwn(`${filter.column} ${filter.operator} ${filter.value}`)).join(', ')}\n`;
+  }
+  if (data.totals.length > 0) {
+    text += `📊 **Totals:** ${formatAggregates(data.totals)}\n`;
+  }
+
+  if (data.groupings.length > 0) {
+    text += `\n**Groupings:**\n`;
+    data.groupings.slice(0, 15).forEach(grouping => {
+      text += `• ${escapeMrkdwn(grouping.label)} — ${formatAggregates(grouping.aggregates)}\n`;
+      grouping.groupings.slice(0, 5).forEach(subGrouping => {
+        text += `   ◦ ${escapeMrkdwn(subGrouping.label)} — ${formatAggregates(subGrouping.aggregates)}\n`;
+      });
+    });
+    if (data.groupings.length > 15) {
+      text += `_…and ${data.groupings.length - 15} more groupings_\n`;
+    }
+  }
+
+  if (data.rows.length > 0) {
+    text += `\n**Rows** (${escapeMrkdwn(data.columns.join(' | '))}):\n`;
+    data.rows.slice(0, 20).forEach((row, index) => {
+      text += `${index + 1}. ${escapeMrkdwn(row.join(' | '))}\n`;
+    });
+    if (data.totalRows > 20) {
+      text += `_…${data.totalRows - 20} more rows in Salesforce_\n`;
+    }
+  }
+
+  if (!data.allData) {
+    text += `⚠️ Salesforce returned only part of this report - open it in Salesforce for the full data.\n`;
+  }
+
+  return text + '\n';
+}
+
+// Plans are posted in the channel, so only the user who asked for one may act on its buttons
+async function rejectIfNotPlanOwner(planKey, body, context, respond) {
+  if (planKey === `${context.teamId}_${body.user.id}`) {
+    return false;
+  }
+  await respond({
+    text: "🔒 Only the person who asked for this plan can approve, refine or cancel it.",
+    response_type: "ephemeral"
+  });
+  return true;
+}
+
 // Handle plan approval button
 slackApp.action('approve_plan', async ({ body, ack, respond, context, client }) => {
   await ack();
   
   const planKey = body.actions[0].value;
+  if (await rejectIfNotPlanOwner(planKey, body, context, respond)) {
+    return;
+  }
   const pendingPlan = global.pendingPlans[planKey];
   
   if (!pendingPlan) {
@@ -499,7 +925,7 @@ slackApp.action('approve_plan', async ({ body, ack, respond, context, client })
   });
 
   try {
-    const toolService = new ToolService(pendingPlan.team);
+    const toolService = new ToolService(pendingPlan.team, { slackClient: client, slackUserId: body.user.id });
     
     // Create a thread for the execution
     const threadMessage = await client.chat.postMessage({
@@ -563,16 +989,13 @@ slackApp.action('approve_plan', async ({ body, ack, respond, context, client })
       });
     }
     
-    // Format final results
-    let finalResponse = "📋 **Results:**\n\n";
-    finalResponse += formatToolResults(toolResults);
-    
     // Send final results in thread
-    await client.chat.postMessage({
-      channel: pendingPlan.channelId,
-      text: finalResponse,
-      thread_ts: body.message.ts
-    });
+    await sendToolResults(
+      message => client.chat.postMessage({ channel: pendingPlan.channelId, thread_ts: body.message.ts, ...message }),
+      "📋 **Results:**\n\n",
+      toolResults,
+      pendingPlan.team
+    );
     
     // Store thread context for follow-up questions
     global.activeThreads = global.activeThreads || {};
@@ -662,6 +1085,9 @@ slackApp.action('refine_plan', async ({ body, ack, respond, context }) => {
   await ack();
   
   const planKey = body.actions[0].value;
+  if (await rejectIfNotPlanOwner(planKey, body, context, respond)) {
+    return;
+  }
   const pendingPlan = global.pendingPlans[planKey];
   
   if (!pendingPlan) {
@@ -683,6 +1109,9 @@ slackApp.action('cancel_plan', async ({ body, ack, respond, context }) => {
   await ack();
   
   const planKey = body.actions[0].value;
+  if (await rejectIfNotPlanOwner(planKey, body, context, respond)) {
+    return;
+  }
   delete global.pendingPlans[planKey];
   
   await respond({
@@ -694,125 +1123,270 @@ slackApp.action('cancel_plan', async ({ body, ack, respond, context }) => {
 // Action handlers for prompt_question and prompt_new_search removed
 // These buttons have been replaced with successive messages to avoid 404 errors
 
-// Handle interactive button clicks for follow-up questions
-slackApp.action('ask_summarize', async ({ body, ack, respond, context }) => {
-  await ack();
-  
-  try {
-    const teamId = context.teamId;
-    let team = null;
+// Handle interactive button clicks for follow-up questions (one handler per canned prompt template)
+getSlackPromptTemplates().forEach(template => {
+  slackApp.action(template.slack.actionId, async ({ body, ack, respond, context }) => {
+    await ack();
     
     try {
-      team = await Team.findById(teamId);
+      const teamId = context.teamId;
+      let team = null;
+      
+      try {
+        team = await Team.findById(teamId);
+      } catch (error) {
+        console.error('Database connection failed, continuing without team data:', error.message);
+      }
+      
+      const multiSourceService = new MultiSourceService(team);
+      
+      // Get recent tickets for context
+      const progressMessages = [];
+      const results = await multiSourceService.searchWithIntelligentPlanning(
+        "recent tickets",
+        async (message) => progressMessages.push(message)
+      );
+      
+      const aiResponse = await multiSourceService.answerFollowUpQuestion(
+        renderPrompt(template.name),
+        results
+      );
+      
+      await respond({
+        text: `${template.slack.heading}\n${aiResponse}`,
+        response_type: "ephemeral"
+      });
+      
     } catch (error) {
-      console.error('Database connection failed, continuing without team data:', error.message);
+      console.error(`${template.slack.buttonText} button error:`, error);
+      await respond({
+        text: `❌ ${template.slack.errorText}. Please try again.`,
+        response_type: "ephemeral"
+      });
     }
-    
-    const multiSourceService = new MultiSourceService(team);
-    
-    // Get recent tickets for context
-    const progressMessages = [];
-    const results = await multiSourceService.searchWithIntelligentPlanning(
-      "recent tickets",
-      async (message) => progressMessages.push(message)
-    );
-    
-    const aiResponse = await multiSourceService.answerFollowUpQuestion(
-      "Please provide a summary of the current issues and their status", 
-      results
-    );
-    
-    await respond({
-      text: `📋 **Issue Summary:**\n${aiResponse}`,
-      response_type: "ephemeral"
+  });
+});
+
+// Handle the "View" button on search results: open a modal with the record and its related lists.
+// Slack's trigger_id expires after 3 seconds, so a loading modal is opened first and updated once the data arrives.
+slackApp.action('view_record', async ({ body, ack, client, context }) => {
+  await ack();
+
+  const recordId = body.actions[0].value;
+  const modal = (title, blocks) => ({
+    type: 'modal',
+    title: { type: 'plain_text', text: title.substring(0, 24) },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks
+  });
+  const textBlock = text => ({ type: 'section', text: { type: 'mrkdwn', text: text.substring(0, 3000) } });
+
+  let viewId;
+  try {
+    const opened = await client.views.open({
+      trigger_id: body.trigger_id,
+      view: modal('Loading record...', [textBlock('⏳ Fetching the record from Salesforce...')])
     });
-    
-  } catch (error) {
-    console.error('Summarize button error:', error);
-    await respond({
-      text: "❌ Failed to generate summary. Please try again.",
-      response_type: "ephemeral"
+    viewId = opened.view.id;
+
+    const team = await Team.findById(context.teamId);
+    if (!team || !team.salesforce_access_token) {
+      throw new Error('Salesforce is not connected for this workspace');
+    }
+
+    const result = await new ToolService(team).getRecordDetails({ recordId });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const title = result.data.record.CaseNumber ? `Case ${result.data.record.CaseNumber}` : result.data.objectType;
+    const blocks = [];
+    formatRecordDetails(result.data).forEach((section, index) => {
+      if (index > 0) blocks.push({ type: 'divider' });
+      blocks.push(textBlock(section));
     });
+    blocks.push({
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        text: { type: 'plain_text', text: 'Open in Salesforce' },
+        url: result.data.url
+      }]
+    });
+
+    await client.views.update({ view_id: viewId, view: modal(title, blocks) });
+  } catch (error) {
+    console.error('View record error:', error);
+    const message = error.message === 'SALESFORCE_SESSION_EXPIRED'
+      ? '🔐 Your Salesforce session has expired. Please reconnect Salesforce and try again.'
+      : `❌ Failed to load the record: ${error.message}`;
+    if (viewId) {
+      await client.views.update({ view_id: viewId, view: modal('Record', [textBlock(message)]) });
+    }
   }
 });
 
-slackApp.action('ask_priority', async ({ body, ack, respond, context }) => {
+// Overflow menu on Jira search results: comment, change status or assign without leaving Slack.
+// Submitting the modal queues a plan, which runs like any other write once the user approves it.
+slackApp.action('jira_issue_actions', async ({ body, ack, client, context }) => {
   await ack();
-  
+
+  const [action, issueKey] = body.actions[0].selected_option.value.split('|');
+  // "Open in Jira" is handled by the option's URL
+  if (action === 'open') return;
+
+  const modal = (title, blocks, submit) => ({
+    type: 'modal',
+    callback_id: 'jira_issue_action_submit',
+    private_metadata: JSON.stringify({ action, issueKey, channelId: body.channel?.id }),
+    title: { type: 'plain_text', text: title.substring(0, 24) },
+    close: { type: 'plain_text', text: 'Cancel' },
+    ...(submit ? { submit: { type: 'plain_text', text: submit } } : {}),
+    blocks
+  });
+  const textBlock = text => ({ type: 'section', text: { type: 'mrkdwn', text: text.substring(0, 3000) } });
+  const input = (blockId, label, element) => ({
+    type: 'input',
+    block_id: blockId,
+    label: { type: 'plain_text', text: label },
+    element: { ...element, action_id: 'value' }
+  });
+
+  let viewId;
   try {
-    const teamId = context.teamId;
-    let team = null;
-    
-    try {
-      team = await Team.findById(teamId);
-    } catch (error) {
-      console.error('Database connection failed, continuing without team data:', error.message);
-    }
-    
-    const multiSourceService = new MultiSourceService(team);
-    
-    const progressMessages = [];
-    const results = await multiSourceService.searchWithIntelligentPlanning(
-      "recent tickets",
-      async (message) => progressMessages.push(message)
-    );
-    
-    const aiResponse = await multiSourceService.answerFollowUpQuestion(
-      "What are the highest priority issues that need immediate attention?", 
-      results
-    );
-    
-    await respond({
-      text: `🔥 **Priority Analysis:**\n${aiResponse}`,
-      response_type: "ephemeral"
+    const opened = await client.views.open({
+      trigger_id: body.trigger_id,
+      view: modal(issueKey, [textBlock(`⏳ Loading ${issueKey}...`)])
     });
-    
+    viewId = opened.view.id;
+
+    const team = await Team.findById(context.teamId);
+    const jiraService = new JiraService(team);
+    if (!jiraService.isConfigured()) {
+      throw new Error('Jira is not connected for this workspace');
+    }
+
+    const issue = await jiraService.getIssue(issueKey);
+    const header = textBlock(`*<${jiraService.getIssueUrl(issueKey)}|${issueKey}>* - ${issue.fields.summary}\n` +
+      `📊 ${issue.fields.status?.name || 'Unknown'} • 👤 ${issue.fields.assignee?.displayName || 'Unassigned'}`);
+
+    let view;
+    if (action === 'comment') {
+      view = modal('Comment', [
+        header,
+        input('comment', 'Comment', { type: 'plain_text_input', multiline: true })
+      ], 'Add comment');
+    } else if (action === 'transition') {
+      const statuses = [...new Set((await jiraService.getTransitions(issueKey)).map(transition => transition.to?.name || transition.name))];
+      view = statuses.length === 0
+        ? modal('Change status', [header, textBlock('No transitions are available from the current status.')])
+        : modal('Change status', [
+          header,
+          input('status', 'New status', {
+            type: 'static_select',
+            options: statuses.map(status => ({ text: { type: 'plain_text', text: status.substring(0, 75) }, value: status }))
+          })
+        ], 'Change status');
+    } else {
+      view = modal('Assign', [
+        header,
+        input('assignee', 'Assignee', { type: 'users_select', initial_user: body.user.id })
+      ], 'Assign');
+    }
+
+    await client.views.update({ view_id: viewId, view });
   } catch (error) {
-    console.error('Priority button error:', error);
-    await respond({
-      text: "❌ Failed to analyze priorities. Please try again.",
-      response_type: "ephemeral"
-    });
+    console.error('Jira issue action error:', error);
+    if (viewId) {
+      await client.views.update({ view_id: viewId, view: modal(issueKey, [textBlock(`❌ ${error.message}`)]) });
+    }
   }
 });
 
-slackApp.action('ask_nextsteps', async ({ body, ack, respond, context }) => {
+slackApp.view('jira_issue_action_submit', async ({ ack, body, view, client, context }) => {
   await ack();
-  
+
+  const { action, issueKey, channelId } = JSON.parse(view.private_metadata);
+  const values = view.state.values;
+  const toolCalls = {
+    comment: () => ({ toolName: 'add_jira_comment', parameters: { issueKey, comment: values.comment.value.value } }),
+    transition: () => ({ toolName: 'transition_jira_issue', parameters: { issueKey, status: values.status.value.selected_option.value } }),
+    assign: () => ({ toolName: 'assign_jira_issue', parameters: { issueKey, assignee: `<@${values.assignee.value.selected_user}>` } })
+  };
+
+  const planKey = `${context.teamId}_${body.user.id}`;
   try {
-    const teamId = context.teamId;
-    let team = null;
-    
-    try {
-      team = await Team.findById(teamId);
-    } catch (error) {
-      console.error('Database connection failed, continuing without team data:', error.message);
-    }
-    
-    const multiSourceService = new MultiSourceService(team);
-    
-    const progressMessages = [];
-    const results = await multiSourceService.searchWithIntelligentPlanning(
-      "recent tickets",
-      async (message) => progressMessages.push(message)
-    );
-    
-    const aiResponse = await multiSourceService.answerFollowUpQuestion(
-      "What are the recommended next steps to resolve these issues?", 
-      results
-    );
-    
-    await respond({
-      text: `🎯 **Recommended Next Steps:**\n${aiResponse}`,
-      response_type: "ephemeral"
+    const team = await Team.findById(context.teamId);
+    const toolCall = toolCalls[action]();
+    const summaries = {
+      comment: `Comment on ${issueKey}`,
+      transition: `Change ${issueKey} to ${toolCall.parameters.status}`,
+      assign: `Assign ${issueKey} to ${toolCall.parameters.assignee}`
+    };
+
+    // One pending plan per user, so this replaces any plan still waiting for approval
+    global.pendingPlans[planKey] = {
+      userPrompt: summaries[action],
+      refinementRequest: null,
+      toolPlan: {
+        reasoning: `${summaries[action]} from the Jira search results.`,
+        selectedTools: [toolCall]
+      },
+      team,
+      channelId,
+      timestamp: Date.now()
+    };
+
+    const planText = `📋 **Plan for:** "${summaries[action]}"\n\n` +
+                     `🔧 **Proposed Tools:**\n` +
+                     `1. **${toolCall.toolName}** - ${getToolDescription(toolCall.toolName)}\n` +
+                     `   Parameters: ${JSON.stringify(toolCall.parameters)}\n\n` +
+                     `✅ **Ready to proceed?**`;
+
+    // Search results can be in a channel or a DM; without a channel, post the plan in a DM
+    const posted = await client.chat.postMessage({
+      channel: channelId || body.user.id,
+      text: planText,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: planText
+          }
+        },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "✅ Execute Plan"
+              },
+              value: planKey,
+              action_id: "approve_plan",
+              style: "primary"
+            },
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "❌ Cancel"
+              },
+              value: planKey,
+              action_id: "cancel_plan",
+              style: "danger"
+            }
+          ]
+        }
+      ]
     });
-    
+    global.pendingPlans[planKey].channelId = posted.channel;
   } catch (error) {
-    console.error('Next steps button error:', error);
-    await respond({
-      text: "❌ Failed to generate next steps. Please try again.",
-      response_type: "ephemeral"
-    });
+    console.error('Jira issue action failed:', error);
+    delete global.pendingPlans[planKey];
+    await client.chat.postMessage({ channel: body.user.id, text: `❌ ${error.message}` });
   }
 });
 
@@ -930,20 +1504,19 @@ async function handleThreadedMessage(message, say, context, client) {
         return;
       }
       
-      // Execute tools
+      // Execute tools (writes are skipped - they need an approved /station plan)
       const toolResults = [];
       for (const toolCall of toolPlan.selectedTools) {
-        const result = await toolService.executeTool(toolCall.toolName, toolCall.parameters);
+        const result = await executeReadOnlyTool(toolService, toolCall);
         toolResults.push(result);
       }
       
-      let response = "📋 **New Results:**\n\n";
-      response += formatToolResults(toolResults);
-      
-      await say({
-        text: response,
-        thread_ts: message.thread_ts
-      });
+      await sendToolResults(
+        reply => say({ thread_ts: message.thread_ts, ...reply }),
+        "📋 **New Results:**\n\n",
+        toolResults,
+        team
+      );
       
       // Update thread context
       threadContext.toolResults = toolResults;
@@ -998,7 +1571,7 @@ async function handleNewRequest(userMessage, team, say, client) {
       // Show what we're doing
       await say(`⏳ **Step ${i + 1}:** Running ${toolCall.toolName}...`);
       
-      const result = await toolService.executeTool(toolCall.toolName, toolCall.parameters);
+      const result = await executeReadOnlyTool(toolService, toolCall);
       toolResults.push(result);
       
       // Show completion
@@ -1007,10 +1580,7 @@ async function handleNewRequest(userMessage, team, say, client) {
     }
     
     // Format and send final results
-    let finalResponse = "📋 **Results:**\n\n";
-    finalResponse += formatToolResults(toolResults);
-    
-    await say(finalResponse);
+    await sendToolResults(say, "📋 **Results:**\n\n", toolResults, team);
     
     // Store context for follow-up questions
     global.dmContexts = global.dmContexts || {};
@@ -1076,6 +1646,18 @@ async function handleFollowUpQuestion(userMessage, team, say, client) {
   }
 }
 
+// Helper: Run a tool outside the approval flow, refusing anything that changes Salesforce data
+async function executeReadOnlyTool(toolService, toolCall) {
+  if (toolService.isWriteTool(toolCall.toolName)) {
+    return {
+      success: false,
+      toolName: toolCall.toolName,
+      error: 'Changes to Salesforce need an approved plan. Use `/station [your request]` in a channel and approve the plan.'
+    };
+  }
+  return toolService.executeTool(toolCall.toolName, toolCall.parameters);
+}
+
 // Helper: Determine if a message is a follow-up question
 async function isFollowUpQuestion(message) {
   const followUpKeywords = [
@@ -1106,7 +1688,13 @@ async function generateContextualAnswer(question, toolResults) {
   let context = "Based on the previous search results:\n\n";
   
   toolResults.forEach((result, index) => {
-    if (result.success && result.data) {
+    if (result.success && result.toolName === 'aggregate_salesforce') {
+      // Exact numbers from the aggregate query, not counts of fetched records
+      context += `- ${describeAggregate(result.data)}: ${formatAggregateValue(result.data.total)}\n`;
+      result.data.groups.slice(0, 10).forEach(group => {
+        context += `  - ${group.keys.map(key => key === null ? '(blank)' : key).join(' / ')}: ${formatAggregateValue(group.value)}\n`;
+      });
+    } else if (result.success && result.data) {
       if (Array.isArray(result.data)) {
         context += `- Found ${result.data.length} ${result.toolName.replace('_', ' ')} results\n`;
       } else if (typeof result.data === 'object') {
@@ -1140,6 +1728,7 @@ const app = receiver.app;
 // Express routes
 app.use(express.json());
 app.use('/oauth', oauthRoutes);
+app.use('/mcp', mcpRoutes);
 
 // Handle OAuth callback at root
 app.get('/', (req, res) => {
@@ -1179,15 +1768,316 @@ app.get('/setup/salesforce', (req, res) => {
       <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
         <h1>Connect Your Salesforce Org</h1>
         <p>To use the support ticket search, please connect your Salesforce organization.</p>
-        <a href="/oauth/salesforce/connect/${team_id}" style="background: #0176D3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px;">
-          Connect Salesforce
-        </a>
+        <form action="/oauth/salesforce/connect/${team_id}" method="get" style="display: inline-block; text-align: left;">
+          <p>
+            <label>Environment<br>
+              <select name="login_domain">
+                <option value="production">Production (login.salesforce.com)</option>
+                <option value="sandbox">Sandbox (test.salesforce.com)</option>
+              </select>
+            </label>
+          </p>
+          <p>
+            <label>My Domain (optional, overrides environment)<br>
+              <input name="my_domain" placeholder="yourcompany.my.salesforce.com" size="36">
+            </label>
+          </p>
+          <p>
+            <label>API version<br>
+              <input name="api_version" value="v58.0" size="8">
+            </label>
+          </p>
+          <button type="submit" style="background: #0176D3; color: white; padding: 12px 24px; border: none; border-radius: 4px; cursor: pointer;">
+            Connect Salesforce
+          </button>
+        </form>
         <p style="margin-top: 20px; color: #666;">Team ID: ${team_id}</p>
       </body>
     </html>
   `);
 });
 
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Salesforce field types an issue key can be written to
+const CASE_KEY_FIELD_TYPES = ['string', 'textarea'];
+
+function renderJiraSettingsForm(team, token, error = null) {
+  return `
+        <h2 style="margin-top: 40px;">Case Escalation Settings</h2>
+        ${error ? `<p style="color: #C23934;">${escapeHtml(error)}</p>` : ''}
+        <form action="/setup/jira/settings" method="post" style="display: inline-block; text-align: left;">
+          <input type="hidden" name="team_id" value="${escapeHtml(team.id)}">
+          <input type="hidden" name="token" value="${escapeHtml(token)}">
+          <p>
+            <label>Default Jira project key<br>
+              <input name="default_project" value="${escapeHtml(team.jira_default_project || '')}" placeholder="ENG" size="12">
+            </label>
+          </p>
+          <p>
+            <label>Custom Case text field to store the Jira key in (optional)<br>
+              <input name="case_key_field" value="${escapeHtml(team.jira_case_key_field || '')}" placeholder="Jira_Key__c" size="36">
+            </label>
+          </p>
+          <button type="submit" style="background: #0052CC; color: white; padding: 12px 24px; border: none; border-radius: 4px; cursor: pointer;">
+            Save Settings
+          </button>
+        </form>`;
+}
+
+// Setup page for Jira connection
+app.get('/setup/jira', async (req, res) => {
+  const { team_id } = req.query;
+
+  if (!team_id) {
+    res.status(400).send('Team ID is required');
+    return;
+  }
+
+  const team = await Team.findById(team_id);
+  if (!team) {
+    res.status(404).send('Team not found');
+    return;
+  }
+
+  // Connecting a site or changing settings needs a signed link from /station setup
+  if (!verifySetupToken(req.query.token, team_id)) {
+    res.send(`
+      <html>
+        <head><title>Connect Jira</title></head>
+        <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+          <h1>Connect Your Jira Site</h1>
+          <p>Run <code>/station setup</code> in Slack and open the Jira link it sends you.</p>
+          <p>Only the user who installed the app or a workspace admin can do this.</p>
+        </body>
+      </html>
+    `);
+    return;
+  }
+
+  res.send(`
+    <html>
+      <head><title>Connect Jira</title></head>
+      <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+        <h1>Connect Your Jira Site</h1>
+        ${team.jira_cloud_id
+          ? `<p>Currently connected to ${escapeHtml(team.jira_base_url)}. Connect again to switch sites or renew access.</p>`
+          : '<p>Sign in with Atlassian to let the bot search your Jira issues.</p>'}
+        ${!team.jira_cloud_id && team.jira_api_token
+          ? `<p style="color: #C23934;">Jira was connected to ${escapeHtml(team.jira_base_url)} with an API token, which is no longer supported. Connect again to keep Jira in searches.</p>`
+          : ''}
+        <form action="/oauth/jira/connect/${encodeURIComponent(team_id)}" method="get" style="display: inline-block; text-align: left;">
+          <input type="hidden" name="token" value="${escapeHtml(req.query.token)}">
+          <p>
+            <label>Jira site (optional, if you have several)<br>
+              <input name="site" placeholder="yourcompany.atlassian.net" size="36">
+            </label>
+          </p>
+          <button type="submit" style="background: #0052CC; color: white; padding: 12px 24px; border: none; border-radius: 4px; cursor: pointer;">
+            Connect Jira
+          </button>
+        </form>
+        ${team.jira_cloud_id ? renderJiraSettingsForm(team, req.query.token, req.query.error) : ''}
+        <p style="margin-top: 20px; color: #666;">Team ID: ${escapeHtml(team_id)}</p>
+      </body>
+    </html>
+  `);
+});
+
+app.post('/setup/jira/settings', express.urlencoded({ extended: false }), async (req, res) => {
+  const { team_id } = req.body;
+  const defaultProject = String(req.body.default_project || '').trim().toUpperCase();
+  let caseKeyField = String(req.body.case_key_field || '').trim();
+
+  if (!verifySetupToken(req.body.token, team_id)) {
+    res.status(403).send('This settings link is invalid or has expired. Run /station setup in Slack for a new one.');
+    return;
+  }
+
+  const team = await Team.findById(team_id);
+  if (!team) {
+    res.status(404).send('Team not found');
+    return;
+  }
+
+  const settingsUrl = `/setup/jira?team_id=${encodeURIComponent(team_id)}&token=${encodeURIComponent(req.body.token)}`;
+  const showError = error => res.redirect(`${settingsUrl}&error=${encodeURIComponent(error)}`);
+
+  if (defaultProject && !/^[A-Z][A-Z0-9_]+$/.test(defaultProject)) {
+    showError(`Invalid Jira project key: ${defaultProject}`);
+    return;
+  }
+
+  if (caseKeyField) {
+    if (!isIdentifier(caseKeyField)) {
+      showError(`Invalid field name: ${caseKeyField}`);
+      return;
+    }
+    if (!team.salesforce_access_token) {
+      showError('Connect Salesforce before choosing a Case field');
+      return;
+    }
+    // Escalations overwrite this field, so only allow editable custom text fields such as Jira_Key__c
+    let field;
+    try {
+      const schema = await new SalesforceService(team).describeObject('Case');
+      field = schema.fields.find(candidate => candidate.name.toLowerCase() === caseKeyField.toLowerCase());
+    } catch (error) {
+      console.error('Case describe failed:', error.message);
+      showError(`Could not check ${caseKeyField} in Salesforce: ${error.message}`);
+      return;
+    }
+    if (!field || !field.updateable || !field.custom || !CASE_KEY_FIELD_TYPES.includes(field.type)) {
+      showError(`${caseKeyField} is not an editable custom text field on Case`);
+      return;
+    }
+    caseKeyField = field.name;
+  }
+
+  await Team.updateJiraSettings(team_id, {
+    case_key_field: caseKeyField,
+    default_project: defaultProject
+  });
+  console.log(`✅ Jira settings saved for team ${team_id}`);
+
+  res.redirect(settingsUrl);
+});
+
+function renderZendeskSetupPage(teamId, token, { subdomain = '', email = '', error = null } = {}) {
+  return `
+    <html>
+      <head><title>Connect Zendesk</title></head>
+      <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+        <h1>Connect Your Zendesk Account</h1>
+        <p>Use an API token from Admin Center → Apps and integrations → Zendesk API.</p>
+        ${error ? `<p style="color: #C23934;">${escapeHtml(error)}</p>` : ''}
+        <form action="/setup/zendesk" method="post" style="display: inline-block; text-align: left;">
+          <input type="hidden" name="team_id" value="${escapeHtml(teamId)}">
+          <input type="hidden" name="token" value="${escapeHtml(token)}">
+          <p>
+            <label>Zendesk subdomain<br>
+              <input name="subdomain" value="${escapeHtml(subdomain)}" placeholder="yourcompany.zendesk.com" size="36" required>
+            </label>
+          </p>
+          <p>
+            <label>Agent email<br>
+              <input name="email" type="email" value="${escapeHtml(email)}" size="36" required>
+            </label>
+          </p>
+          <p>
+            <label>API token<br>
+              <input name="api_token" type="password" size="36" required>
+            </label>
+          </p>
+          <button type="submit" style="background: #03363D; color: white; padding: 12px 24px; border: none; border-radius: 4px; cursor: pointer;">
+            Connect Zendesk
+          </button>
+        </form>
+        <p style="margin-top: 20px; color: #666;">Team ID: ${escapeHtml(teamId)}</p>
+      </body>
+    </html>
+  `;
+}
+
+// Setup page for Zendesk connection
+app.get('/setup/zendesk', async (req, res) => {
+  const { team_id } = req.query;
+
+  if (!team_id) {
+    res.status(400).send('Team ID is required');
+    return;
+  }
+
+  const team = await Team.findById(team_id);
+  if (!team) {
+    res.status(404).send('Team not found');
+    return;
+  }
+
+  // The stored credentials can only be seen or replaced through a signed link from /station setup
+  if (!verifySetupToken(req.query.token, team_id)) {
+    res.send(`
+      <html>
+        <head><title>Connect Zendesk</title></head>
+        <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+          <h1>Connect Your Zendesk Account</h1>
+          <p>Run <code>/station setup</code> in Slack and open the Zendesk link it sends you.</p>
+          <p>Only the user who installed the app or a workspace admin can do this.</p>
+        </body>
+      </html>
+    `);
+    return;
+  }
+
+  res.send(renderZendeskSetupPage(team_id, req.query.token, {
+    subdomain: team.zendesk_subdomain || '',
+    email: team.zendesk_email || ''
+  }));
+});
+
+app.post('/setup/zendesk', express.urlencoded({ extended: false }), async (req, res) => {
+  const { team_id, token, subdomain, email, api_token } = req.body;
+
+  if (!team_id) {
+    res.status(400).send('Team ID is required');
+    return;
+  }
+
+  if (!verifySetupToken(token, team_id)) {
+    res.status(403).send('This setup link is invalid or has expired. Run /station setup in Slack for a new one.');
+    return;
+  }
+
+  try {
+    const team = await Team.findById(team_id);
+    if (!team) {
+      res.status(404).send('Team not found');
+      return;
+    }
+
+    if (!email || !api_token) {
+      throw new Error('Email and API token are required');
+    }
+
+    const credentials = {
+      subdomain: ZendeskService.normalizeSubdomain(subdomain),
+      email: email.trim(),
+      api_token: api_token.trim()
+    };
+
+    // Check the credentials against Zendesk before storing them
+    const zendeskUser = await new ZendeskService({
+      zendesk_subdomain: credentials.subdomain,
+      zendesk_email: credentials.email,
+      zendesk_api_token: credentials.api_token
+    }).verifyCredentials();
+
+    await Team.updateZendeskCredentials(team_id, credentials);
+    console.log(`✅ Zendesk connected for team ${team_id} as ${zendeskUser.name || credentials.email}`);
+
+    res.send(`
+      <html>
+        <head><title>Zendesk Connected</title></head>
+        <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+          <h1>✅ Zendesk Connected!</h1>
+          <p>Signed in to ${escapeHtml(credentials.subdomain)}.zendesk.com as ${escapeHtml(zendeskUser.name || credentials.email)}.</p>
+          <p>Zendesk tickets will now show up in /station searches.</p>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('❌ Zendesk setup failed:', error.message);
+    res.status(400).send(renderZendeskSetupPage(team_id, token, { subdomain, email, error: error.message }));
+  }
+});
+
 // Start the server
 (async () => {
   await slackApp.start(port);
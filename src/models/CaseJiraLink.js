@@ -0,0 +1,31 @@
+const db = require('../database');
+
+// Salesforce case <-> Jira issue pairs, per team
+class CaseJiraLink {
+  static async create(teamId, link) {
+    const [created] = await db('case_jira_links').insert({
+      team_id: teamId,
+      salesforce_case_id: link.caseId,
+      salesforce_case_number: link.caseNumber,
+      jira_issue_key: link.issueKey,
+      jira_issue_id: link.issueId
+    }).returning('*');
+    return created;
+  }
+
+  static async findByCaseIds(teamId, caseIds) {
+    if (caseIds.length === 0) {
+      return [];
+    }
+    return db('case_jira_links').where({ team_id: teamId }).whereIn('salesforce_case_id', caseIds);
+  }
+
+  static async findByIssueKeys(teamId, issueKeys) {
+    if (issueKeys.length === 0) {
+      return [];
+    }
+    return db('case_jira_links').where({ team_id: teamId }).whereIn('jira_issue_key', issueKeys);
+  }
+}
+
+module.exports = CaseJiraLink;
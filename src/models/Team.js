@@ -1,5 +1,6 @@
+const crypto = require('crypto');
 const db = require('../database');
-const { encrypt, decrypt } = require('../services/encryption');
+const { encrypt, decrypt, hashToken } = require('../services/encryption');
 
 class Team {
   static async create(teamData) {
@@ -9,7 +10,10 @@ class Team {
       slack_bot_token: encrypt(teamData.slack_bot_token),
       salesforce_access_token: teamData.salesforce_access_token ? encrypt(teamData.salesforce_access_token) : null,
       salesforce_refresh_token: teamData.salesforce_refresh_token ? encrypt(teamData.salesforce_refresh_token) : null,
-      salesforce_client_secret: teamData.salesforce_client_secret ? encrypt(teamData.salesforce_client_secret) : null
+      salesforce_client_secret: teamData.salesforce_client_secret ? encrypt(teamData.salesforce_client_secret) : null,
+      jira_access_token: teamData.jira_access_token ? encrypt(teamData.jira_access_token) : null,
+      jira_refresh_token: teamData.jira_refresh_token ? encrypt(teamData.jira_refresh_token) : null,
+      zendesk_api_token: teamData.zendesk_api_token ? encrypt(teamData.zendesk_api_token) : null
     };
 
     const [team] = await db('teams').insert(encryptedData).returning('*');
@@ -21,6 +25,26 @@ class Team {
     return team ? this.decrypt(team) : null;
   }
 
+  static async findByMcpToken(token) {
+    if (!token) return null;
+
+    const team = await db('teams').where({ mcp_token_hash: hashToken(token) }).first('id');
+    return team ? this.findById(team.id) : null;
+  }
+
+  // Issue a new MCP bearer token for the team. Only the hash is stored, so the
+  // plaintext token is returned once and any previous token stops working.
+  static async generateMcpToken(teamId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const updateResult = await db('teams').where({ id: teamId }).update({ mcp_token_hash: hashToken(token) });
+
+    if (updateResult === 0) {
+      throw new Error('Team not found');
+    }
+
+    return token;
+  }
+
   static async updateSalesforceCredentials(teamId, credentials) {
     const encryptedCredentials = {
       salesforce_instance_url: credentials.instance_url,
@@ -29,6 +53,16 @@ class Team {
       salesforce_client_id: credentials.client_id,
       salesforce_client_secret: encrypt(credentials.client_secret)
     };
+    if (credentials.issued_at) {
+      encryptedCredentials.salesforce_token_issued_at = credentials.issued_at;
+      encryptedCredentials.salesforce_token_expires_at = credentials.expires_at || null;
+    }
+    if (credentials.login_domain) {
+      encryptedCredentials.salesforce_login_domain = credentials.login_domain;
+    }
+    if (credentials.api_version) {
+      encryptedCredentials.salesforce_api_version = credentials.api_version;
+    }
 
     // Try to update first, if no rows affected, create the team
     const updateResult = await db('teams').where({ id: teamId }).update(encryptedCredentials);
@@ -49,6 +83,93 @@ class Team {
     return this.findById(teamId);
   }
 
+  // Save the result of a token refresh. Salesforce only returns a new refresh token
+  // when refresh token rotation is enabled, so the stored one is kept otherwise.
+  static async updateSalesforceTokens(teamId, tokens) {
+    const encryptedTokens = {
+      salesforce_access_token: encrypt(tokens.access_token),
+      salesforce_token_issued_at: tokens.issued_at,
+      salesforce_token_expires_at: tokens.expires_at || null
+    };
+    if (tokens.refresh_token) {
+      encryptedTokens.salesforce_refresh_token = encrypt(tokens.refresh_token);
+    }
+    if (tokens.instance_url) {
+      encryptedTokens.salesforce_instance_url = tokens.instance_url;
+    }
+
+    const updateResult = await db('teams').where({ id: teamId }).update(encryptedTokens);
+    if (updateResult === 0) {
+      throw new Error('Team not found');
+    }
+
+    return this.findById(teamId);
+  }
+
+  static async updateJiraCredentials(teamId, credentials) {
+    const updateResult = await db('teams').where({ id: teamId }).update({
+      jira_cloud_id: credentials.cloud_id,
+      jira_base_url: credentials.site_url,
+      jira_access_token: encrypt(credentials.access_token),
+      jira_refresh_token: credentials.refresh_token ? encrypt(credentials.refresh_token) : null,
+      jira_token_expires_at: credentials.expires_at,
+      // API token credentials from before OAuth are no longer needed
+      jira_email: null,
+      jira_api_token: null
+    });
+
+    if (updateResult === 0) {
+      throw new Error('Team not found');
+    }
+
+    return this.findById(teamId);
+  }
+
+  // Atlassian rotates refresh tokens, but keep the stored one if a response ever omits it
+  static async updateJiraTokens(teamId, tokens) {
+    const encryptedTokens = {
+      jira_access_token: encrypt(tokens.access_token),
+      jira_token_expires_at: tokens.expires_at
+    };
+    if (tokens.refresh_token) {
+      encryptedTokens.jira_refresh_token = encrypt(tokens.refresh_token);
+    }
+
+    const updateResult = await db('teams').where({ id: teamId }).update(encryptedTokens);
+    if (updateResult === 0) {
+      throw new Error('Team not found');
+    }
+
+    return this.findById(teamId);
+  }
+
+  static async updateJiraSettings(teamId, settings) {
+    const updateResult = await db('teams').where({ id: teamId }).update({
+      jira_case_key_field: settings.case_key_field || null,
+      jira_default_project: settings.default_project || null
+    });
+
+    if (updateResult === 0) {
+      throw new Error('Team not found');
+    }
+
+    return this.findById(teamId);
+  }
+
+  static async updateZendeskCredentials(teamId, credentials) {
+    const updateResult = await db('teams').where({ id: teamId }).update({
+      zendesk_subdomain: credentials.subdomain,
+      zendesk_email: credentials.email,
+      zendesk_api_token: encrypt(credentials.api_token)
+    });
+
+    if (updateResult === 0) {
+      throw new Error('Team not found');
+    }
+
+    return this.findById(teamId);
+  }
+
   static decrypt(team) {
     if (!team) return null;
     
@@ -58,7 +179,10 @@ class Team {
       slack_bot_token: decrypt(team.slack_bot_token),
       salesforce_access_token: team.salesforce_access_token ? decrypt(team.salesforce_access_token) : null,
       salesforce_refresh_token: team.salesforce_refresh_token ? decrypt(team.salesforce_refresh_token) : null,
-      salesforce_client_secret: team.salesforce_client_secret ? decrypt(team.salesforce_client_secret) : null
+      salesforce_client_secret: team.salesforce_client_secret ? decrypt(team.salesforce_client_secret) : null,
+      jira_access_token: team.jira_access_token ? decrypt(team.jira_access_token) : null,
+      jira_refresh_token: team.jira_refresh_token ? decrypt(team.jira_refresh_token) : null,
+      zendesk_api_token: team.zendesk_api_token ? decrypt(team.zendesk_api_token) : null
     };
   }
 }
@@ -0,0 +1,80 @@
+const express = require('express');
+const Team = require('../models/Team');
+const McpService = require('../services/mcpService');
+
+const router = express.Router();
+
+// Active SSE sessions keyed by sessionId (in production, pin sessions to one dyno)
+const transports = new Map();
+
+// Resolve the team from the per-team MCP bearer token
+async function authenticateTeam(req, res, next) {
+  const authHeader = req.headers.authorization || '';
+  const [scheme, token] = authHeader.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    res.status(401).json({ error: 'Missing bearer token' });
+    return;
+  }
+
+  try {
+    const team = await Team.findByMcpToken(token);
+    if (!team || !team.is_active) {
+      res.status(401).json({ error: 'Invalid bearer token' });
+      return;
+    }
+
+    req.team = team;
+    next();
+  } catch (error) {
+    console.error('MCP auth error:', error.message);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+// Open the SSE stream - the client is told to POST its messages to /mcp/messages
+router.get('/sse', authenticateTeam, async (req, res) => {
+  try {
+    const { SSEServerTransport } = await import('@modelcontextprotocol/sdk/server/sse.js');
+
+    const transport = new SSEServerTransport(`${req.baseUrl}/messages`, res);
+    transports.set(transport.sessionId, { transport, teamId: req.team.id });
+
+    transport.onclose = () => {
+      transports.delete(transport.sessionId);
+      console.log(`MCP session closed for team ${req.team.id}: ${transport.sessionId}`);
+    };
+
+    const mcpService = new McpService(req.team);
+    const server = await mcpService.createServer();
+    await server.connect(transport);
+
+    console.log(`MCP session opened for team ${req.team.id}: ${transport.sessionId}`);
+  } catch (error) {
+    console.error('MCP SSE error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to start MCP session' });
+    }
+  }
+});
+
+router.post('/messages', authenticateTeam, async (req, res) => {
+  const session = transports.get(req.query.sessionId);
+
+  // A token only grants access to sessions opened by the same team
+  if (!session || session.teamId !== req.team.id) {
+    res.status(404).json({ error: 'MCP session not found' });
+    return;
+  }
+
+  try {
+    // express.json() has already consumed the body, so hand the parsed message to the transport
+    await session.transport.handleMessage(req.body);
+    res.status(202).end('Accepted');
+  } catch (error) {
+    console.error('MCP message error:', error.message);
+    res.status(400).json({ error: `Invalid message: ${error.message}` });
+  }
+});
+
+module.exports = router;
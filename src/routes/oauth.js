@@ -2,6 +2,9 @@ const express = require('express');
 const axios = require('axios');
 const crypto = require('crypto');
 const Team = require('../models/Team');
+const SalesforceService = require('../services/salesforce');
+const JiraService = require('../services/jiraService');
+const { verifySetupToken } = require('../services/encryption');
 
 const router = express.Router();
 
@@ -14,12 +17,20 @@ function generateCodeChallenge(codeVerifier) {
   return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
 }
 
-// Store code verifiers temporarily (in production, use Redis or database)
+// Store code verifiers (and the chosen login domain / API version) temporarily (in production, use Redis or database)
 const codeVerifiers = new Map();
 
+// Pending Jira authorizations keyed by the random OAuth state
+const jiraAuthStates = new Map();
+const JIRA_AUTH_STATE_TTL = 10 * 60 * 1000;
+
+// offline_access is what makes Atlassian return a refresh token
+const JIRA_SCOPES = ['read:jira-work', 'write:jira-work', 'read:jira-user', 'offline_access'];
+
 // Slack OAuth installation flow
 router.get('/slack/install', (req, res) => {
-  const scopes = 'commands,chat:write,users:read';
+  // users:read.email lets Slack @mentions be matched to Salesforce users for Chatter posts
+  const scopes = 'commands,chat:write,users:read,users:read.email';
   const slackAuthUrl = `https://slack.com/oauth/v2/authorize?client_id=${process.env.SLACK_CLIENT_ID}&scope=${scopes}&redirect_uri=${process.env.APP_URL}/oauth/slack/callback`;
   res.redirect(slackAuthUrl);
 });
@@ -65,7 +76,9 @@ router.get('/slack/callback', async (req, res) => {
 });
 
 // Salesforce OAuth flow
-router.get('/salesforce/connect/:teamId', (req, res) => {
+// Optional query params: login_domain (production or sandbox), my_domain and api_version.
+// Without them the team's saved settings are used.
+router.get('/salesforce/connect/:teamId', async (req, res) => {
   const { teamId } = req.params;
   
   if (teamId === 'unknown') {
@@ -85,6 +98,26 @@ router.get('/salesforce/connect/:teamId', (req, res) => {
     return;
   }
   
+  let team;
+  try {
+    team = await Team.findById(teamId);
+  } catch (error) {
+    console.error('Failed to load team settings:', error);
+    res.status(500).send('Failed to load team settings');
+    return;
+  }
+  
+  // A My Domain host from the setup form takes precedence over the production/sandbox choice
+  let loginDomain;
+  let apiVersion;
+  try {
+    loginDomain = SalesforceService.normalizeLoginDomain(req.query.my_domain || req.query.login_domain || team?.salesforce_login_domain);
+    apiVersion = SalesforceService.normalizeApiVersion(req.query.api_version || team?.salesforce_api_version);
+  } catch (error) {
+    res.status(400).send(error.message);
+    return;
+  }
+  
   const redirectUri = `${process.env.APP_URL}/oauth/salesforce/callback`;
   
   // Generate PKCE parameters
@@ -92,7 +125,7 @@ router.get('/salesforce/connect/:teamId', (req, res) => {
   const codeChallenge = generateCodeChallenge(codeVerifier);
   
   // Store code verifier for later use
-  codeVerifiers.set(teamId, codeVerifier);
+  codeVerifiers.set(teamId, { codeVerifier, loginDomain, apiVersion });
   
   // Build auth URL with PKCE
   const authParams = new URLSearchParams({
@@ -104,7 +137,7 @@ router.get('/salesforce/connect/:teamId', (req, res) => {
     code_challenge_method: 'S256'
   });
   
-  const salesforceAuthUrl = `https://login.salesforce.com/services/oauth2/authorize?${authParams}`;
+  const salesforceAuthUrl = `https://${loginDomain}/services/oauth2/authorize?${authParams}`;
   
   console.log(`Salesforce Auth URL: ${salesforceAuthUrl}`);
   console.log(`Redirect URI: ${redirectUri}`);
@@ -130,10 +163,11 @@ router.get('/salesforce/callback', async (req, res) => {
   
   try {
     // Get the stored code verifier
-    const codeVerifier = codeVerifiers.get(teamId);
-    if (!codeVerifier) {
+    const pending = codeVerifiers.get(teamId);
+    if (!pending) {
       throw new Error('Code verifier not found - session may have expired');
     }
+    const { codeVerifier, loginDomain, apiVersion } = pending;
     
     // Clean up the stored code verifier
     codeVerifiers.delete(teamId);
@@ -151,7 +185,7 @@ router.get('/salesforce/callback', async (req, res) => {
     
     console.log('Token exchange data:', { ...tokenData, code_verifier: '[REDACTED]' });
     
-    const response = await axios.post('https://login.salesforce.com/services/oauth2/token', 
+    const response = await axios.post(`https://${loginDomain}/services/oauth2/token`, 
       new URLSearchParams(tokenData),
       {
         headers: {
@@ -162,6 +196,7 @@ router.get('/salesforce/callback', async (req, res) => {
     );
 
     const { access_token, refresh_token, instance_url } = response.data;
+    const { issuedAt, expiresAt } = SalesforceService.getTokenTimestamps(response.data);
     
     console.log('Salesforce response data:', {
       access_token: access_token ? '[PRESENT]' : 'MISSING',
@@ -175,7 +210,11 @@ router.get('/salesforce/callback', async (req, res) => {
       refresh_token,
       instance_url,
       client_id: process.env.SALESFORCE_CLIENT_ID,
-      client_secret: process.env.SALESFORCE_CLIENT_SECRET
+      client_secret: process.env.SALESFORCE_CLIENT_SECRET,
+      issued_at: issuedAt,
+      expires_at: expiresAt,
+      login_domain: loginDomain,
+      api_version: apiVersion
     });
 
     res.send('Setup complete! You can now use /support in Slack.');
@@ -186,4 +225,120 @@ router.get('/salesforce/callback', async (req, res) => {
   }
 });
 
+// Jira Cloud OAuth 2.0 (3LO) flow
+// Optional query param: site (e.g. yourcompany.atlassian.net) picks the site when the user has access to several.
+router.get('/jira/connect/:teamId', async (req, res) => {
+  const { teamId } = req.params;
+
+  // Binding a Jira site decides where escalated case data goes, so it needs a signed link from /station setup
+  if (!verifySetupToken(req.query.token, teamId)) {
+    res.status(403).send('This setup link is invalid or has expired. Run /station setup in Slack for a new one.');
+    return;
+  }
+
+  let team;
+  try {
+    team = await Team.findById(teamId);
+  } catch (error) {
+    console.error('Failed to load team settings:', error);
+    res.status(500).send('Failed to load team settings');
+    return;
+  }
+
+  if (!team) {
+    res.status(404).send('Team not found');
+    return;
+  }
+
+  // The state is random rather than the team ID so the callback can't be forged for another team
+  const state = crypto.randomBytes(16).toString('hex');
+  jiraAuthStates.set(state, {
+    teamId,
+    site: req.query.site ? String(req.query.site).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '') : null,
+    createdAt: Date.now()
+  });
+
+  const authParams = new URLSearchParams({
+    audience: 'api.atlassian.com',
+    client_id: process.env.JIRA_CLIENT_ID,
+    scope: JIRA_SCOPES.join(' '),
+    redirect_uri: `${process.env.APP_URL}/oauth/jira/callback`,
+    state,
+    response_type: 'code',
+    prompt: 'consent'
+  });
+
+  res.redirect(`https://auth.atlassian.com/authorize?${authParams}`);
+});
+
+router.get('/jira/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+
+  if (error) {
+    console.error('Jira OAuth error:', error, req.query.error_description);
+    res.status(400).send(`Jira authorization failed: ${req.query.error_description || error}`);
+    return;
+  }
+
+  const pending = state ? jiraAuthStates.get(state) : null;
+  if (state) {
+    jiraAuthStates.delete(state);
+  }
+  if (!code || !pending || Date.now() - pending.createdAt > JIRA_AUTH_STATE_TTL) {
+    res.status(400).send('Jira authorization expired or is invalid - please start again from the setup page');
+    return;
+  }
+
+  try {
+    const response = await axios.post('https://auth.atlassian.com/oauth/token', {
+      grant_type: 'authorization_code',
+      client_id: process.env.JIRA_CLIENT_ID,
+      client_secret: process.env.JIRA_CLIENT_SECRET,
+      code,
+      redirect_uri: `${process.env.APP_URL}/oauth/jira/callback`
+    }, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const { access_token, refresh_token } = response.data;
+
+    // Find the cloud ID of the Jira site the user granted access to
+    const resources = await JiraService.getAccessibleResources(access_token);
+    const jiraSites = resources.filter(resource => (resource.scopes || []).some(scope => scope.includes('jira')));
+    const site = pending.site
+      ? jiraSites.find(resource => new URL(resource.url).host === pending.site)
+      : jiraSites[0];
+
+    if (!site) {
+      res.status(400).send(pending.site
+        ? `No access was granted to ${pending.site}`
+        : 'No Jira site was granted access');
+      return;
+    }
+
+    console.log('Jira response data:', {
+      access_token: access_token ? '[PRESENT]' : 'MISSING',
+      refresh_token: refresh_token ? '[PRESENT]' : 'MISSING',
+      cloud_id: site.id,
+      site: site.url
+    });
+
+    await Team.updateJiraCredentials(pending.teamId, {
+      cloud_id: site.id,
+      site_url: site.url,
+      access_token,
+      refresh_token,
+      expires_at: JiraService.getTokenExpiry(response.data)
+    });
+
+    res.send(`Jira connected to ${site.url}! Jira issues will now show up in /station searches.`);
+
+  } catch (error) {
+    console.error('Jira OAuth error:', error.response?.data || error.message);
+    res.status(500).send('Jira connection failed');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
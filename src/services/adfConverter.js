@@ -0,0 +1,198 @@
+// Conversion between Atlassian Document Format (the rich text JSON used by Jira API v3)
+// and Slack mrkdwn / plain text.
+
+// Slack user mentions (<@U123ABC>) and bare URLs, without trailing punctuation such as a closing bracket or full stop
+const TOKEN_PATTERN = /<@([UW][A-Z0-9]+)(?:\|[^>]*)?>|https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"]/g;
+
+// Slack needs &, < and > escaped in message text
+function escapeMrkdwn(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// URLs inside <url|label> also can't contain a raw |, which would end the URL early
+function escapeUrl(url) {
+  return escapeMrkdwn(url).replace(/\|/g, '%7C');
+}
+
+function applyMarks(text, marks = []) {
+  let result = text;
+  let link = null;
+
+  marks.forEach(mark => {
+    switch (mark.type) {
+      case 'strong':
+        result = `*${result}*`;
+        break;
+      case 'em':
+        result = `_${result}_`;
+        break;
+      case 'strike':
+        result = `~${result}~`;
+        break;
+      case 'code':
+        result = `\`${result}\``;
+        break;
+      case 'link':
+        link = mark.attrs?.href;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return link ? `<${escapeUrl(link)}|${result}>` : result;
+}
+
+function renderInline(nodes = []) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return applyMarks(escapeMrkdwn(node.text || ''), node.marks);
+      case 'hardBreak':
+        return '\n';
+      case 'mention':
+        // attrs.text already starts with @
+        return escapeMrkdwn(node.attrs?.text || '@someone');
+      case 'emoji':
+        return node.attrs?.text || node.attrs?.shortName || '';
+      case 'inlineCard':
+        return node.attrs?.url ? `<${escapeUrl(node.attrs.url)}>` : '';
+      case 'status':
+        return `\`${escapeMrkdwn(node.attrs?.text || '')}\``;
+      case 'date':
+        return node.attrs?.timestamp ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10) : '';
+      default:
+        return node.content ? renderInline(node.content) : '';
+    }
+  }).join('');
+}
+
+function indentLines(text, prefix) {
+  return text.split('\n').map(line => `${prefix}${line}`).join('\n');
+}
+
+function renderList(node, depth) {
+  return (node.content || []).map((item, index) => {
+    const bullet = node.type === 'orderedList' ? `${(node.attrs?.order || 1) + index}.` : '•';
+    const [first = '', ...rest] = renderBlocks(item.content, depth + 1).split('\n');
+    const indent = '    '.repeat(depth);
+    return [`${indent}${bullet} ${first}`, ...rest].join('\n');
+  }).join('\n');
+}
+
+function renderBlock(node, depth) {
+  switch (node.type) {
+    case 'paragraph':
+      return renderInline(node.content);
+    case 'heading':
+      return `*${renderInline(node.content)}*`;
+    case 'bulletList':
+    case 'orderedList':
+      return renderList(node, depth);
+    case 'codeBlock':
+      // Marks don't apply inside code; only Slack's &, < and > escaping does
+      return `\`\`\`\n${escapeMrkdwn((node.content || []).map(child => child.text || '').join(''))}\n\`\`\``;
+    case 'blockquote':
+      return indentLines(renderBlocks(node.content, depth), '> ');
+    case 'rule':
+      return '———';
+    case 'panel':
+    case 'expand':
+    case 'nestedExpand':
+      return renderBlocks(node.content, depth);
+    case 'table':
+      return (node.content || []).map(row =>
+        (row.content || []).map(cell => renderBlocks(cell.content, depth).replace(/\n+/g, ' ')).join(' | ')
+      ).join('\n');
+    case 'blockCard':
+    case 'embedCard':
+      return node.attrs?.url ? `<${escapeUrl(node.attrs.url)}>` : '';
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return '[attachment]';
+    default:
+      return node.content ? renderInline(node.content) : '';
+  }
+}
+
+// depth is the list nesting level, used to indent nested lists
+function renderBlocks(nodes = [], depth = 0) {
+  return nodes
+    .map(node => renderBlock(node, depth))
+    .filter(text => text !== '')
+    .join('\n');
+}
+
+// Accepts an ADF document, or a plain string from API v2 which only needs escaping
+function adfToMrkdwn(value) {
+  if (!value) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return escapeMrkdwn(value);
+  }
+  return renderBlocks(value.content || []).trim();
+}
+
+// Shorten mrkdwn without leaving a link, escaped character or code block half open
+function truncateMrkdwn(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  let result = text.substring(0, maxLength);
+  if (result.lastIndexOf('<') > result.lastIndexOf('>')) {
+    result = result.substring(0, result.lastIndexOf('<'));
+  }
+  result = result.replace(/&[a-z]*$/, '');
+  if ((result.match(/```/g) || []).length % 2 === 1) {
+    result += '\n```';
+  }
+  return `${result}...`;
+}
+
+// Plain text to an ADF document, for issue descriptions and comments. Bare URLs become links, and
+// Slack mentions become Jira mentions when mentions maps the Slack user ID to { accountId, name }.
+function textToAdf(text, { mentions = {} } = {}) {
+  const paragraphs = String(text || '').split(/\n{2,}/).filter(paragraph => paragraph.trim());
+
+  return {
+    type: 'doc',
+    version: 1,
+    content: paragraphs.map(paragraph => ({
+      type: 'paragraph',
+      content: paragraph.split('\n').flatMap((line, index) => {
+        const nodes = index > 0 ? [{ type: 'hardBreak' }] : [];
+        let lastIndex = 0;
+        for (const match of line.matchAll(TOKEN_PATTERN)) {
+          if (match.index > lastIndex) {
+            nodes.push({ type: 'text', text: line.substring(lastIndex, match.index) });
+          }
+          const slackUserId = match[1];
+          if (!slackUserId) {
+            nodes.push({ type: 'text', text: match[0], marks: [{ type: 'link', attrs: { href: match[0] } }] });
+          } else if (mentions[slackUserId]?.accountId) {
+            nodes.push({ type: 'mention', attrs: { id: mentions[slackUserId].accountId, text: `@${mentions[slackUserId].name}` } });
+          } else {
+            nodes.push({ type: 'text', text: `@${mentions[slackUserId]?.name || slackUserId}` });
+          }
+          lastIndex = match.index + match[0].length;
+        }
+        if (lastIndex < line.length) {
+          nodes.push({ type: 'text', text: line.substring(lastIndex) });
+        }
+        return nodes;
+      })
+    }))
+  };
+}
+
+module.exports = {
+  escapeMrkdwn,
+  adfToMrkdwn,
+  truncateMrkdwn,
+  textToAdf
+};
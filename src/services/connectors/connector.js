@@ -0,0 +1,129 @@
+const { truncateMrkdwn } = require('../adfConverter');
+
+// Base class for a data source searched by MultiSourceService.
+//
+// Subclasses set the static id, label, emoji and setupPath, and implement:
+//   isConnected()          - whether this team has connected the source
+//   getDisconnectedReason() - why not, shown with the Connect button
+//   search(searchTerms)    - raw records matching any of the terms
+//   normalize(record)      - a record in the common item shape (see below)
+// and may override:
+//   format(item)           - the Slack block for one item
+//   findLinks(items)       - related records elsewhere, as { [item.id]: [{ label, url }] }
+//   suggest(searchTerms, items) - extra Slack blocks shown after this source's results
+//
+// Items: { id, key, title, status, priority, owner, description, comments: [{ author, text }], url, raw }
+// title, owner, description and comments are Slack mrkdwn, so source text must be escaped (see escapeMrkdwn).
+// attachLinks() adds links: [{ label, url }] from findLinks before formatting.
+class Connector {
+  constructor(team) {
+    this.team = team;
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  get label() {
+    return this.constructor.label;
+  }
+
+  get emoji() {
+    return this.constructor.emoji;
+  }
+
+  getSetupUrl() {
+    return `${process.env.APP_URL}${this.constructor.setupPath}?team_id=${this.team?.id}`;
+  }
+
+  isConnected() {
+    return false;
+  }
+
+  // Shown next to the Connect button when isConnected() is false
+  getDisconnectedReason() {
+    return 'Not connected';
+  }
+
+  async search(searchTerms) {
+    throw new Error(`${this.label} connector does not implement search`);
+  }
+
+  normalize(record) {
+    throw new Error(`${this.label} connector does not implement normalize`);
+  }
+
+  format(item) {
+    const block = {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: this.formatText(item)
+      }
+    };
+    const accessory = this.getAccessory(item);
+    if (accessory) {
+      block.accessory = accessory;
+    }
+    return block;
+  }
+
+  formatText(item) {
+    let text = `*${item.key}* - ${item.title}\n` +
+               `📊 ${item.status || 'Unknown'} • ${item.priority ? `${item.priority} Priority` : 'No Priority'}\n` +
+               `👤 ${item.owner}`;
+
+    if (item.description) {
+      text += `\n📝 ${truncateMrkdwn(item.description, 150)}`;
+    }
+
+    const lastComment = item.comments.slice(-1)[0];
+    if (lastComment) {
+      text += `\n💬 ${lastComment.author}: ${truncateMrkdwn(lastComment.text, 100)}`;
+    }
+
+    if (item.links?.length > 0) {
+      text += `\n🔗 ${item.links.map(link => link.url ? `<${link.url}|${link.label}>` : link.label).join(', ')}`;
+    }
+
+    return text;
+  }
+
+  getAccessory(item) {
+    return item.url ? {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "Open"
+      },
+      url: item.url
+    } : null;
+  }
+
+  async findLinks(items) {
+    return {};
+  }
+
+  // Sets item.links from findLinks. Links are extra context, so a failure only leaves them out.
+  async attachLinks(items) {
+    if (!this.team?.id || items.length === 0) {
+      return items;
+    }
+
+    try {
+      const links = await this.findLinks(items);
+      items.forEach(item => {
+        item.links = links[item.id] || [];
+      });
+    } catch (error) {
+      console.error(`Loading ${this.label} links failed:`, error.message);
+    }
+    return items;
+  }
+
+  async suggest(searchTerms, items) {
+    return [];
+  }
+}
+
+module.exports = Connector;
@@ -0,0 +1,28 @@
+// Registry of the data sources MultiSourceService searches, in display order
+const connectorClasses = new Map();
+
+function registerConnector(ConnectorClass) {
+  if (!ConnectorClass.id) {
+    throw new Error('Connectors need a static id');
+  }
+  connectorClasses.set(ConnectorClass.id, ConnectorClass);
+}
+
+function getConnectorClass(id) {
+  return connectorClasses.get(id) || null;
+}
+
+// One instance of every registered connector for this team
+function createConnectors(team) {
+  return [...connectorClasses.values()].map(ConnectorClass => new ConnectorClass(team));
+}
+
+registerConnector(require('./salesforceConnector'));
+registerConnector(require('./jiraConnector'));
+registerConnector(require('./zendeskConnector'));
+
+module.exports = {
+  registerConnector,
+  getConnectorClass,
+  createConnectors
+};
@@ -0,0 +1,102 @@
+const Connector = require('./connector');
+const JiraService = require('../jiraService');
+const CaseJiraLink = require('../../models/CaseJiraLink');
+const { adfToMrkdwn, escapeMrkdwn } = require('../adfConverter');
+
+// Unresolved Jira issues, with actions to comment, transition and assign from Slack
+class JiraConnector extends Connector {
+  static id = 'jira';
+  static label = 'Jira Issues';
+  static emoji = '🎯';
+  static setupPath = '/setup/jira';
+
+  constructor(team) {
+    super(team);
+    this.jiraService = new JiraService(team);
+  }
+
+  isConnected() {
+    return this.jiraService.isConfigured();
+  }
+
+  // Teams that connected with an API token before OAuth have to sign in again
+  getDisconnectedReason() {
+    return this.team?.jira_api_token ? 'Reconnect needed (Jira now uses Atlassian sign-in)' : super.getDisconnectedReason();
+  }
+
+  async search(searchTerms) {
+    const allResults = [];
+    for (const searchTerm of searchTerms) {
+      try {
+        allResults.push(...await this.jiraService.searchIssues(searchTerm));
+      } catch (error) {
+        console.error(`Jira search failed for "${searchTerm}":`, error.message);
+        if (error.message.includes('ENOTFOUND') || error.message.includes('authentication')) {
+          throw error;
+        }
+      }
+    }
+    return allResults;
+  }
+
+  normalize(issue) {
+    return {
+      id: issue.key,
+      key: issue.key,
+      title: escapeMrkdwn(issue.fields.summary || 'No Summary'),
+      status: issue.fields.status?.name,
+      priority: issue.fields.priority?.name,
+      owner: escapeMrkdwn(issue.fields.assignee?.displayName || 'Unassigned'),
+      description: adfToMrkdwn(issue.fields.description),
+      comments: (issue.fields.comment?.comments || []).map(comment => ({
+        author: escapeMrkdwn(comment.author?.displayName || 'Unknown'),
+        text: adfToMrkdwn(comment.body)
+      })),
+      url: this.jiraService.getIssueUrl(issue.key),
+      raw: issue
+    };
+  }
+
+  // Handled by the jira_issue_actions listener in app.js
+  getAccessory(item) {
+    return {
+      type: "overflow",
+      action_id: "jira_issue_actions",
+      options: [
+        {
+          text: { type: "plain_text", text: "↗️ Open in Jira" },
+          value: `open|${item.key}`,
+          url: item.url
+        },
+        {
+          text: { type: "plain_text", text: "💬 Comment" },
+          value: `comment|${item.key}`
+        },
+        {
+          text: { type: "plain_text", text: "🔀 Change status" },
+          value: `transition|${item.key}`
+        },
+        {
+          text: { type: "plain_text", text: "👤 Assign" },
+          value: `assign|${item.key}`
+        }
+      ]
+    };
+  }
+
+  // Salesforce cases these issues were created from
+  async findLinks(items) {
+    const links = await CaseJiraLink.findByIssueKeys(this.team.id, items.map(item => item.key));
+    const instanceUrl = this.team.salesforce_instance_url;
+    const byIssueKey = {};
+    links.forEach(link => {
+      (byIssueKey[link.jira_issue_key] = byIssueKey[link.jira_issue_key] || []).push({
+        label: `Salesforce case ${link.salesforce_case_number || link.salesforce_case_id}`,
+        url: instanceUrl ? `${instanceUrl}/${link.salesforce_case_id}` : null
+      });
+    });
+    return byIssueKey;
+  }
+}
+
+module.exports = JiraConnector;
@@ -0,0 +1,119 @@
+const Connector = require('./connector');
+const SalesforceService = require('../salesforce');
+const JiraService = require('../jiraService');
+const CaseJiraLink = require('../../models/CaseJiraLink');
+const { buildSOSLQuery, condition } = require('../queryBuilder');
+const { escapeMrkdwn, truncateMrkdwn } = require('../adfConverter');
+
+// Open support cases, with Knowledge article suggestions
+class SalesforceConnector extends Connector {
+  static id = 'salesforce';
+  static label = 'Salesforce Cases';
+  static emoji = '🏢';
+  static setupPath = '/setup/salesforce';
+
+  constructor(team) {
+    super(team);
+    this.salesforceService = team ? new SalesforceService(team) : null;
+  }
+
+  isConnected() {
+    return Boolean(this.salesforceService?.accessToken);
+  }
+
+  async search(searchTerms) {
+    const allResults = [];
+    for (const searchTerm of searchTerms) {
+      try {
+        // Use basic SOSL search for simple case lookup
+        const soslQuery = buildSOSLQuery(searchTerm, [{
+          objectType: 'Case',
+          fields: ['Id', 'CaseNumber', 'Subject', 'Status', 'CreatedDate', 'Account.Name', 'Contact.Name', 'Priority', 'Description'],
+          where: condition('Status', '!=', 'Closed')
+        }], { limit: 20 });
+        const soslResult = await this.salesforceService.executeSOSLQuery(soslQuery);
+        allResults.push(...(soslResult.searchRecords || []));
+      } catch (error) {
+        console.error(`Salesforce search failed for "${searchTerm}":`, error.message);
+        if (error.message.includes('not connected') || error.message.includes('token')) {
+          throw error;
+        }
+      }
+    }
+    return allResults;
+  }
+
+  normalize(case_) {
+    return {
+      id: case_.Id,
+      key: case_.CaseNumber,
+      title: escapeMrkdwn(case_.Subject || 'No Subject'),
+      status: case_.Status,
+      priority: case_.Priority,
+      owner: `${escapeMrkdwn(case_.Account?.Name || 'Unknown Customer')} (${escapeMrkdwn(case_.Contact?.Name || 'No Contact')})`,
+      description: escapeMrkdwn(case_.Description || ''),
+      comments: [],
+      url: `${this.salesforceService.instanceUrl}/${case_.Id}`,
+      raw: case_
+    };
+  }
+
+  // The View button opens the case with its related lists in a modal
+  getAccessory(item) {
+    return {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "View"
+      },
+      action_id: "view_record",
+      value: item.id
+    };
+  }
+
+  // Jira issues created from these cases
+  async findLinks(items) {
+    const links = await CaseJiraLink.findByCaseIds(this.team.id, items.map(item => item.id));
+    const jiraService = new JiraService(this.team);
+    const byCaseId = {};
+    links.forEach(link => {
+      (byCaseId[link.salesforce_case_id] = byCaseId[link.salesforce_case_id] || []).push({
+        label: `Jira ${link.jira_issue_key}`,
+        url: jiraService.baseUrl ? jiraService.getIssueUrl(link.jira_issue_key) : null
+      });
+    });
+    return byCaseId;
+  }
+
+  // Knowledge articles matching any of the search terms. Orgs without Knowledge enabled just get none.
+  async suggest(searchTerms, items) {
+    if (items.length === 0 || searchTerms.length === 0) {
+      return [];
+    }
+
+    let articles;
+    try {
+      articles = await this.salesforceService.searchKnowledge(searchTerms.join(' OR '), { limit: 3 });
+    } catch (error) {
+      console.error('Knowledge article suggestions failed:', error.message);
+      return [];
+    }
+    if (articles.length === 0) {
+      return [];
+    }
+
+    const articleLines = articles.map(article =>
+      `• <${article.url}|${escapeMrkdwn(article.title)}> (${article.articleNumber})` +
+      (article.summary ? `\n   _${truncateMrkdwn(escapeMrkdwn(article.summary), 150)}_` : '')
+    );
+    return [{
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*📚 Suggested Articles*\n${articleLines.join('\n')}`
+      }
+    }];
+  }
+}
+
+module.exports = SalesforceConnector;
@@ -0,0 +1,57 @@
+const Connector = require('./connector');
+const ZendeskService = require('../zendeskService');
+const { escapeMrkdwn } = require('../adfConverter');
+
+// Zendesk statuses and priorities are lower case ("open", "urgent")
+function capitalize(value) {
+  return value ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+}
+
+// Unsolved Zendesk tickets, shown the same way as Salesforce cases
+class ZendeskConnector extends Connector {
+  static id = 'zendesk';
+  static label = 'Zendesk Tickets';
+  static emoji = '🎫';
+  static setupPath = '/setup/zendesk';
+
+  constructor(team) {
+    super(team);
+    this.zendeskService = new ZendeskService(team);
+  }
+
+  isConnected() {
+    return this.zendeskService.isConfigured();
+  }
+
+  async search(searchTerms) {
+    const allResults = [];
+    for (const searchTerm of searchTerms) {
+      try {
+        allResults.push(...await this.zendeskService.searchTickets(searchTerm));
+      } catch (error) {
+        console.error(`Zendesk search failed for "${searchTerm}":`, error.message);
+        if (error.message.includes('ENOTFOUND') || error.message.includes('authentication')) {
+          throw error;
+        }
+      }
+    }
+    return allResults;
+  }
+
+  normalize(ticket) {
+    return {
+      id: String(ticket.id),
+      key: `#${ticket.id}`,
+      title: escapeMrkdwn(ticket.subject || 'No Subject'),
+      status: capitalize(ticket.status),
+      priority: capitalize(ticket.priority),
+      owner: `${escapeMrkdwn(ticket.organization?.name || 'Unknown Customer')} (${escapeMrkdwn(ticket.requester?.name || 'No Requester')})`,
+      description: escapeMrkdwn(ticket.description || ''),
+      comments: [],
+      url: this.zendeskService.getTicketUrl(ticket.id),
+      raw: ticket
+    };
+  }
+}
+
+module.exports = ZendeskConnector;
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
 const algorithm = 'aes-256-cbc';
 const secretKey = process.env.ENCRYPTION_KEY || 'default-key-for-development-only-12345678901234567890123456789012'; // Must be 32 chars for aes-256
@@ -32,4 +33,28 @@ function decrypt(encryptedData) {
   return decrypted;
 }
 
-module.exports = { encrypt, decrypt };
\ No newline at end of file
+// One-way hash for bearer tokens - we only ever need to compare them, never read them back
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Setup pages that change team settings are opened from a short-lived link issued by /station setup
+const SETUP_TOKEN_LIFETIME = '15m';
+
+function signSetupToken(teamId, userId) {
+  return jwt.sign({ purpose: 'setup', team_id: teamId, user_id: userId }, key, { expiresIn: SETUP_TOKEN_LIFETIME });
+}
+
+// The token's claims if it is valid and was issued for this team, otherwise null
+function verifySetupToken(token, teamId) {
+  if (!token || !teamId) return null;
+
+  try {
+    const claims = jwt.verify(String(token), key, { algorithms: ['HS256'] });
+    return claims.purpose === 'setup' && claims.team_id === teamId ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { encrypt, decrypt, hashToken, signSetupToken, verifySetupToken };
\ No newline at end of file
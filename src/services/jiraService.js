@@ -1,48 +1,380 @@
 const axios = require('axios');
+const { JQLBuilder, clause, text, jqlFunction, relativeDate, EMPTY } = require('./jqlBuilder');
+const { escapeMrkdwn, adfToMrkdwn, truncateMrkdwn, textToAdf } = require('./adfConverter');
+
+const ATLASSIAN_API_URL = 'https://api.atlassian.com';
+const ATLASSIAN_TOKEN_URL = 'https://auth.atlassian.com/oauth/token';
+// API v3 returns descriptions and comments as Atlassian Document Format (see adfConverter.js)
+const JIRA_API_PATH = '/rest/api/3';
+// Atlassian access tokens last an hour
+const DEFAULT_TOKEN_LIFETIME = 60 * 60 * 1000;
+// Refresh a little before the token actually expires
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// One refresh per team at a time - Atlassian rotates refresh tokens, so a second
+// concurrent refresh with the old token would fail
+const refreshesInFlight = new Map();
+
+const SEARCH_FIELDS = 'key,summary,status,assignee,created,updated,priority,issuetype,project,labels,description,comment';
+const MAX_SEARCH_RESULTS = 50;
+const ISSUE_KEY = /^[A-Z][A-Z0-9_]+-\d+$/;
+
+// statusCategory names are the same on every Jira site, unlike status names
+const STATUS_CATEGORIES = {
+  todo: 'To Do',
+  in_progress: 'In Progress',
+  done: 'Done'
+};
+
+// [from, to) for each time range; to is optional
+const TIME_RANGES = {
+  today: () => [jqlFunction('startOfDay')],
+  yesterday: () => [jqlFunction('startOfDay', -1), jqlFunction('startOfDay')],
+  this_week: () => [jqlFunction('startOfWeek')],
+  last_week: () => [jqlFunction('startOfWeek', -1), jqlFunction('startOfWeek')],
+  this_month: () => [jqlFunction('startOfMonth')],
+  last_7_days: () => [relativeDate('-7d')],
+  last_30_days: () => [relativeDate('-30d')],
+  last_90_days: () => [relativeDate('-90d')],
+  last_6_months: () => [relativeDate('-26w')]
+};
 
 class JiraService {
-  constructor() {
-    this.baseUrl = process.env.JIRA_URL;
-    this.username = process.env.JIRA_USERNAME;
-    this.apiToken = process.env.JIRA_API_TOKEN;
+  // Each team connects its own Jira site through OAuth (see /setup/jira and /oauth/jira/connect/:teamId)
+  constructor(team) {
+    this.team = team;
+    this.cloudId = team?.jira_cloud_id || null;
+    this.accessToken = team?.jira_access_token || null;
+    // Site URL such as https://acme.atlassian.net, used for browse links
+    this.baseUrl = team?.jira_base_url || null;
+  }
+
+  static getTokenExpiry(tokenResponse) {
+    const lifetime = tokenResponse.expires_in ? Number(tokenResponse.expires_in) * 1000 : DEFAULT_TOKEN_LIFETIME;
+    return new Date(Date.now() + lifetime);
+  }
+
+  // Sites the user granted access to during consent: [{ id, url, name, scopes }]
+  static async getAccessibleResources(accessToken) {
+    const response = await axios.get(`${ATLASSIAN_API_URL}/oauth/token/accessible-resources`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/json'
+      },
+      timeout: 15000
+    });
+    return response.data || [];
+  }
+
+  static normalizeIssueKey(value) {
+    const issueKey = String(value || '').trim().toUpperCase();
+    if (!ISSUE_KEY.test(issueKey)) {
+      throw new Error(`Invalid Jira issue key: ${value}`);
+    }
+    return issueKey;
   }
 
-  async searchIssues(searchTerm) {
-    if (!this.baseUrl || !this.username || !this.apiToken || 
-        this.baseUrl === 'https://example.atlassian.net' || 
-        this.username === 'placeholder' || 
-        this.apiToken === 'placeholder') {
+  isConfigured() {
+    return Boolean(this.cloudId && this.accessToken);
+  }
+
+  // Call a Jira REST API path through the Atlassian API gateway, refreshing the access token once on 401
+  async request(method, path, { params, data } = {}, label, isRetry = false) {
+    if (!this.isConfigured()) {
+      throw new Error('Jira not connected for this team');
+    }
+
+    if (!isRetry && this.isTokenExpiring()) {
+      console.log('🔄 Jira token is about to expire, refreshing ahead of time...');
+      await this.refreshAccessToken();
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${ATLASSIAN_API_URL}/ex/jira/${this.cloudId}${path}`,
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        params,
+        data,
+        timeout: 30000 // 30 second timeout
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 401) {
+        if (!isRetry && await this.refreshAccessToken()) {
+          return this.request(method, path, { params, data }, label, true);
+        }
+        throw new Error('Jira authentication failed. Please reconnect Jira.');
+      }
+
+      console.error(`${label} failed:`, error.response?.data || error.message);
+      const message = error.response?.data?.errorMessages?.[0];
+      throw new Error(`${label} failed: ${message || error.message}`);
+    }
+  }
+
+  // Unresolved issues matching the text, for the multi-source search
+  async searchIssues(searchTerm, filters = {}) {
+    if (!this.isConfigured()) {
       console.log('Jira not configured, skipping Jira search');
       return [];
     }
 
-    const jql = `text ~ "${searchTerm}" AND status != "Done" ORDER BY created DESC`;
-    
+    const result = await this.search({
+      statusCategory: 'open',
+      maxResults: 5,
+      ...filters,
+      text: searchTerm
+    });
+    return result.issues;
+  }
+
+  // filters: text, projects, issueTypes, statusCategory, assignee, labels, timeRange, dateField, startAt, maxResults
+  async search(filters = {}) {
+    const jql = await this.buildSearchJQL(filters);
+    const startAt = Math.max(parseInt(filters.startAt, 10) || 0, 0);
+    const maxResults = Math.min(Math.max(parseInt(filters.maxResults, 10) || 10, 1), MAX_SEARCH_RESULTS);
+
+    console.log(`🔍 JQL: ${jql}`);
+    const data = await this.request('get', `${JIRA_API_PATH}/search`, {
+      params: {
+        jql,
+        startAt,
+        maxResults,
+        fields: SEARCH_FIELDS
+      }
+    }, 'Jira search');
+
+    return {
+      jql,
+      issues: data.issues || [],
+      total: data.total || 0,
+      startAt: data.startAt ?? startAt,
+      maxResults: data.maxResults ?? maxResults
+    };
+  }
+
+  async buildSearchJQL(filters) {
+    const builder = new JQLBuilder();
+    const toList = value => (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+
+    if (filters.text && String(filters.text).trim()) {
+      builder.where(text(filters.text));
+    }
+
+    const projects = toList(filters.projects || []);
+    if (projects.length > 0) {
+      builder.where(clause('project', 'IN', projects));
+    }
+
+    const issueTypes = toList(filters.issueTypes || []);
+    if (issueTypes.length > 0) {
+      builder.where(clause('issuetype', 'IN', issueTypes));
+    }
+
+    const labels = toList(filters.labels || []);
+    if (labels.length > 0) {
+      builder.where(clause('labels', 'IN', labels));
+    }
+
+    if (filters.statusCategory) {
+      const category = String(filters.statusCategory).toLowerCase().replace(/\s+/g, '_');
+      if (category === 'open') {
+        builder.where(clause('statusCategory', '!=', STATUS_CATEGORIES.done));
+      } else if (STATUS_CATEGORIES[category]) {
+        builder.where(clause('statusCategory', '=', STATUS_CATEGORIES[category]));
+      } else {
+        throw new Error(`Unknown status category: ${filters.statusCategory}`);
+      }
+    }
+
+    if (filters.assignee) {
+      builder.where(await this.getAssigneeClause(filters.assignee));
+    }
+
+    if (filters.timeRange && filters.timeRange !== 'all_time') {
+      const range = TIME_RANGES[filters.timeRange];
+      if (!range) {
+        throw new Error(`Unknown time range: ${filters.timeRange}`);
+      }
+      const dateField = filters.dateField === 'updated' ? 'updated' : 'created';
+      const [from, to] = range();
+      builder.where(clause(dateField, '>=', from));
+      if (to) {
+        builder.where(clause(dateField, '<', to));
+      }
+    }
+
+    return builder.orderBy(filters.dateField === 'updated' ? 'updated' : 'created', 'DESC').build();
+  }
+
+  // "me", "unassigned", an Atlassian account ID, or a name/email looked up in the user directory
+  async getAssigneeClause(assignee) {
+    const value = String(assignee).trim();
+    const lower = value.toLowerCase();
+
+    if (lower === 'me' || lower === 'currentuser') {
+      return clause('assignee', '=', jqlFunction('currentUser'));
+    }
+    if (lower === 'unassigned') {
+      return clause('assignee', 'IS', EMPTY);
+    }
+    if (/^([0-9a-f]{24}|\d+:[0-9a-f-]{36})$/i.test(value)) {
+      return clause('assignee', '=', value);
+    }
+
+    const users = await this.request('get', `${JIRA_API_PATH}/user/search`, {
+      params: { query: value, maxResults: 2 }
+    }, 'Jira user search');
+    const user = (users || []).find(candidate => candidate.accountType !== 'app');
+    if (!user) {
+      throw new Error(`No Jira user found for "${value}"`);
+    }
+    return clause('assignee', '=', user.accountId);
+  }
+
+  // fields: projectKey, issueType, summary, description (plain text), labels
+  async createIssue(fields) {
+    const created = await this.request('post', `${JIRA_API_PATH}/issue`, {
+      data: {
+        fields: {
+          project: { key: fields.projectKey },
+          issuetype: { name: fields.issueType },
+          summary: fields.summary,
+          description: textToAdf(fields.description),
+          labels: fields.labels || []
+        }
+      }
+    }, 'Create Jira issue');
+
+    return {
+      id: created.id,
+      key: created.key,
+      url: this.getIssueUrl(created.key)
+    };
+  }
+
+  // body is an ADF document (see textToAdf)
+  async addComment(issueKey, body) {
+    const key = JiraService.normalizeIssueKey(issueKey);
+    const comment = await this.request('post', `${JIRA_API_PATH}/issue/${key}/comment`, {
+      data: { body }
+    }, 'Add Jira comment');
+    return { id: comment.id, url: `${this.getIssueUrl(key)}?focusedCommentId=${comment.id}` };
+  }
+
+  // Transitions available from the issue's current status: [{ id, name, to: { name } }]
+  async getTransitions(issueKey) {
+    const key = JiraService.normalizeIssueKey(issueKey);
+    const data = await this.request('get', `${JIRA_API_PATH}/issue/${key}/transitions`, {}, 'Get Jira transitions');
+    return data.transitions || [];
+  }
+
+  async transitionIssue(issueKey, transitionId) {
+    const key = JiraService.normalizeIssueKey(issueKey);
+    await this.request('post', `${JIRA_API_PATH}/issue/${key}/transitions`, {
+      data: { transition: { id: String(transitionId) } }
+    }, 'Transition Jira issue');
+  }
+
+  // A null accountId unassigns the issue
+  async assignIssue(issueKey, accountId) {
+    const key = JiraService.normalizeIssueKey(issueKey);
+    await this.request('put', `${JIRA_API_PATH}/issue/${key}/assignee`, {
+      data: { accountId }
+    }, 'Assign Jira issue');
+  }
+
+  async getIssue(issueKey, fields = 'summary,status,assignee') {
+    const key = JiraService.normalizeIssueKey(issueKey);
+    return this.request('get', `${JIRA_API_PATH}/issue/${key}`, { params: { fields } }, 'Get Jira issue');
+  }
+
+  // Atlassian hides emails by default, so fall back to the only match when the search is unambiguous
+  // User search is fuzzy, so only an exact email match counts. Users who hide their email in their
+  // Atlassian profile can't be matched and come back as null.
+  async findAccountIdByEmail(email) {
+    const users = await this.request('get', `${JIRA_API_PATH}/user/search`, {
+      params: { query: email, maxResults: 10 }
+    }, 'Jira user search');
+    const match = (users || []).find(user =>
+      user.accountType !== 'app' && user.emailAddress?.toLowerCase() === String(email).toLowerCase()
+    );
+    return match ? match.accountId : null;
+  }
+
+  getIssueUrl(issueKey) {
+    return `${this.baseUrl}/browse/${issueKey}`;
+  }
+
+  isTokenExpiring() {
+    const expiresAt = this.team.jira_token_expires_at;
+    if (!expiresAt || !this.team.jira_refresh_token) {
+      return false;
+    }
+    return new Date(expiresAt).getTime() - Date.now() < TOKEN_REFRESH_MARGIN;
+  }
+
+  // Concurrent callers for the same team share one refresh
+  async refreshAccessToken() {
+    const key = this.team.id || this.cloudId;
+    if (!refreshesInFlight.has(key)) {
+      refreshesInFlight.set(key, this.performTokenRefresh().finally(() => refreshesInFlight.delete(key)));
+    }
+
+    const tokens = await refreshesInFlight.get(key);
+    if (!tokens) {
+      return false;
+    }
+
+    // Update the team object too, so other services built from it see the new token
+    this.team.jira_access_token = tokens.access_token;
+    this.team.jira_token_expires_at = tokens.expires_at;
+    if (tokens.refresh_token) {
+      this.team.jira_refresh_token = tokens.refresh_token;
+    }
+    this.accessToken = this.team.jira_access_token;
+    return true;
+  }
+
+  // Returns the new tokens (already saved to the database), or null if the refresh failed
+  async performTokenRefresh() {
+    if (!this.team.jira_refresh_token) {
+      console.error('No Jira refresh token available');
+      return null;
+    }
+
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/rest/api/2/search`,
-        {
-          headers: {
-            'Authorization': `Basic ${Buffer.from(`${this.username}:${this.apiToken}`).toString('base64')}`,
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          },
-          params: {
-            jql: jql,
-            maxResults: 5,
-            fields: 'key,summary,status,assignee,created,priority,description,comment'
-          },
-          timeout: 30000 // 30 second timeout
+      const response = await axios.post(ATLASSIAN_TOKEN_URL, {
+        grant_type: 'refresh_token',
+        client_id: process.env.JIRA_CLIENT_ID,
+        client_secret: process.env.JIRA_CLIENT_SECRET,
+        refresh_token: this.team.jira_refresh_token
+      }, {
+        headers: {
+          'Content-Type': 'application/json'
         }
-      );
+      });
+
+      const tokens = {
+        access_token: response.data.access_token,
+        refresh_token: response.data.refresh_token,
+        expires_at: JiraService.getTokenExpiry(response.data)
+      };
 
-      return response.data.issues || [];
+      const Team = require('../models/Team');
+      await Team.updateJiraTokens(this.team.id, tokens);
+
+      console.log('✅ Jira token refreshed successfully');
+      return tokens;
     } catch (error) {
-      if (error.response?.status === 401) {
-        throw new Error('Jira authentication failed. Please check your credentials.');
-      }
-      console.error('Jira API error:', error.response?.data || error.message);
-      throw new Error(`Jira search failed: ${error.message}`);
+      console.error('Failed to refresh Jira token:', error.response?.data || error.message);
+      return null;
     }
   }
 
@@ -54,15 +386,14 @@ class JiraService {
     const blocks = [];
 
     issues.forEach(issue => {
-      let issueText = `🟠 *${issue.key}* - ${issue.fields.summary}\n` +
+      let issueText = `🟠 *${issue.key}* - ${escapeMrkdwn(issue.fields.summary)}\n` +
                      `Status: ${issue.fields.status.name}\n` +
-                     `Assignee: ${issue.fields.assignee?.displayName || 'Unassigned'}\n` +
+                     `Assignee: ${escapeMrkdwn(issue.fields.assignee?.displayName || 'Unassigned')}\n` +
                      `Priority: ${issue.fields.priority?.name || 'None'}`;
       
       // Add description if available
       if (issue.fields.description) {
-        const desc = issue.fields.description.substring(0, 200);
-        issueText += `\n📝 ${desc}${desc.length === 200 ? '...' : ''}`;
+        issueText += `\n📝 ${truncateMrkdwn(adfToMrkdwn(issue.fields.description), 200)}`;
       }
       
       // Add recent comments if available
@@ -70,9 +401,8 @@ class JiraService {
         const recentComments = issue.fields.comment.comments
           .slice(-2) // Get last 2 comments
           .map(comment => {
-            const author = comment.author?.displayName || 'Unknown';
-            const body = comment.body.substring(0, 150);
-            return `💬 ${author}: ${body}${body.length === 150 ? '...' : ''}`;
+            const author = escapeMrkdwn(comment.author?.displayName || 'Unknown');
+            return `💬 ${author}: ${truncateMrkdwn(adfToMrkdwn(comment.body), 150)}`;
           });
         
         if (recentComments.length > 0) {
@@ -0,0 +1,202 @@
+// Safe construction of Jira JQL queries.
+// Like queryBuilder.js for SOQL: user and LLM input only ever enters a query through these helpers.
+
+const OPERATORS = ['=', '!=', '>', '>=', '<', '<=', '~', '!~', 'IN', 'NOT IN', 'IS', 'IS NOT'];
+
+// Characters with special meaning in the Lucene syntax used by ~ (text) searches
+const TEXT_RESERVED = /[+\-&|!(){}[\]^~*?\\:"/]/g;
+
+// Plain field names, plus custom fields as cf[10010]
+const FIELD = /^([A-Za-z][A-Za-z0-9_]*|cf\[\d+\])$/;
+
+// Relative dates such as -7d or -4w
+const RELATIVE_DATE = /^-?\d+[mhdw]$/;
+
+// JQL functions allowed as values, e.g. currentUser() or startOfWeek(-1)
+const FUNCTIONS = ['currentUser', 'now', 'startOfDay', 'endOfDay', 'startOfWeek', 'endOfWeek', 'startOfMonth', 'endOfMonth', 'startOfYear', 'endOfYear'];
+
+// Escape a value for use inside a double-quoted JQL string
+function escapeJQLString(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+// Text searches are parsed by Lucene, so its operators need escaping first
+function escapeJQLText(value) {
+  return escapeJQLString(String(value).replace(TEXT_RESERVED, '\\$&').replace(/\s+/g, ' ').trim());
+}
+
+function isJQLField(name) {
+  return typeof name === 'string' && FIELD.test(name);
+}
+
+function assertField(name) {
+  if (!isJQLField(name)) {
+    throw new Error(`Invalid Jira field name: ${name}`);
+  }
+  return name;
+}
+
+// A pre-validated value written into the query as-is (functions, EMPTY, relative dates)
+class Literal {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+const EMPTY = new Literal('EMPTY');
+
+function jqlFunction(name, ...args) {
+  if (!FUNCTIONS.includes(name)) {
+    throw new Error(`JQL function not allowed: ${name}`);
+  }
+  args.forEach(arg => {
+    if (!Number.isInteger(arg) && !RELATIVE_DATE.test(String(arg))) {
+      throw new Error(`Invalid argument for ${name}(): ${arg}`);
+    }
+  });
+  return new Literal(`${name}(${args.join(', ')})`);
+}
+
+function relativeDate(value) {
+  if (!RELATIVE_DATE.test(String(value))) {
+    throw new Error(`Invalid relative date: ${value}`);
+  }
+  return new Literal(String(value));
+}
+
+function formatValue(value) {
+  if (value instanceof Literal) {
+    return value.text;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid number: ${value}`);
+    }
+    return String(value);
+  }
+  return `"${escapeJQLString(value)}"`;
+}
+
+// A JQL clause fragment, mirroring Condition in queryBuilder.js
+class Clause {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+function clause(field, operator, value) {
+  assertField(field);
+  const op = String(operator).toUpperCase();
+  if (!OPERATORS.includes(op)) {
+    throw new Error(`Operator not allowed: ${operator}`);
+  }
+
+  let formatted;
+  if (op === 'IN' || op === 'NOT IN') {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error(`${op} needs a non-empty list of values`);
+    }
+    formatted = `(${value.map(formatValue).join(', ')})`;
+  } else if (op === 'IS' || op === 'IS NOT') {
+    if (value !== EMPTY) {
+      throw new Error(`${op} can only be used with EMPTY`);
+    }
+    formatted = EMPTY.text;
+  } else {
+    formatted = formatValue(value);
+  }
+
+  return new Clause(`${field} ${op} ${formatted}`);
+}
+
+// Full-text match across summary, description and comments
+function text(term, field = 'text') {
+  assertField(field);
+  const escaped = escapeJQLText(term);
+  if (!escaped) {
+    throw new Error('Jira search text is empty');
+  }
+  return new Clause(`${field} ~ "${escaped}"`);
+}
+
+function combine(joiner, clauses) {
+  const parts = clauses.filter(Boolean);
+  parts.forEach(part => {
+    if (!(part instanceof Clause)) {
+      throw new Error('Clauses must be built with clause(), text(), and() or or()');
+    }
+  });
+  if (parts.length === 1) {
+    return parts[0];
+  }
+  return new Clause(`(${parts.map(part => part.text).join(` ${joiner} `)})`);
+}
+
+function and(...clauses) {
+  return combine('AND', clauses);
+}
+
+function or(...clauses) {
+  return combine('OR', clauses);
+}
+
+class JQLBuilder {
+  constructor() {
+    this.clauses = [];
+    this.order = [];
+  }
+
+  where(...clauses) {
+    clauses.filter(Boolean).forEach(part => {
+      if (!(part instanceof Clause)) {
+        throw new Error('Clauses must be built with clause(), text(), and() or or()');
+      }
+      this.clauses.push(part);
+    });
+    return this;
+  }
+
+  orderBy(field, direction = 'DESC') {
+    const dir = String(direction).toUpperCase();
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw new Error(`Invalid sort direction: ${direction}`);
+    }
+    this.order.push(`${assertField(field)} ${dir}`);
+    return this;
+  }
+
+  build() {
+    let jql = this.clauses.map(part => part.text).join(' AND ');
+    if (this.order.length > 0) {
+      jql += `${jql ? ' ' : ''}ORDER BY ${this.order.join(', ')}`;
+    }
+    return jql;
+  }
+}
+
+module.exports = {
+  JQLBuilder,
+  clause,
+  text,
+  and,
+  or,
+  jqlFunction,
+  relativeDate,
+  EMPTY,
+  escapeJQLString,
+  escapeJQLText,
+  isJQLField
+};
@@ -0,0 +1,267 @@
+const ToolService = require('./toolService');
+const { listPromptTemplates, getPromptTemplate, renderPrompt } = require('./promptTemplates');
+
+// Tools that only make sense inside the Slack planner (they produce chat replies, not data)
+const PLANNER_ONLY_TOOLS = ['ask_clarification', 'direct_response'];
+
+const RECORD_URI_PATTERN = /^salesforce:\/\/([A-Za-z][A-Za-z0-9_]*)\/([A-Za-z0-9]{15}(?:[A-Za-z0-9]{3})?)$/;
+const LAST_SEARCH_URI = 'salesforce://search/last';
+
+class McpService {
+  constructor(team) {
+    this.team = team;
+    this.toolService = new ToolService(team);
+    // Result of the most recent search_salesforce call in this session, exposed as resources
+    this.lastSearchResult = null;
+  }
+
+  // Build an MCP server exposing the ToolService tools for this team.
+  // The SDK is ESM-only, so it has to be loaded with a dynamic import.
+  async createServer() {
+    const { Server } = await import('@modelcontextprotocol/sdk/server/index.js');
+    const {
+      ListToolsRequestSchema,
+      CallToolRequestSchema,
+      ListResourcesRequestSchema,
+      ListResourceTemplatesRequestSchema,
+      ReadResourceRequestSchema,
+      ListPromptsRequestSchema,
+      GetPromptRequestSchema
+    } = await import('@modelcontextprotocol/sdk/types.js');
+
+    const server = new Server({
+      name: 'salesforce-slack-saas',
+      version: '1.0.0'
+    });
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return { tools: this.listTools() };
+    });
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      return this.callTool(request.params.name, request.params.arguments || {});
+    });
+
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return { resources: this.listResources() };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: [
+          {
+            uriTemplate: 'salesforce://{objectType}/{recordId}',
+            name: 'Salesforce record',
+            description: 'All fields of a single Salesforce record, e.g. salesforce://Case/500xx000000abcd',
+            mimeType: 'application/json'
+          }
+        ]
+      };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return this.readResource(request.params.uri);
+    });
+
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: listPromptTemplates().map(template => ({
+          name: template.name,
+          description: template.description,
+          arguments: template.arguments
+        }))
+      };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      return this.getPrompt(request.params.name, request.params.arguments || {});
+    });
+
+    return server;
+  }
+
+  listTools() {
+    return this.toolService.getAvailableTools()
+      .filter(tool => this.isExposedTool(tool.name))
+      .map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: this.buildInputSchema(tool.parameters)
+      }));
+  }
+
+  // Write tools stay behind the Slack plan approval step, so they are not published over MCP
+  isExposedTool(toolName) {
+    return !PLANNER_ONLY_TOOLS.includes(toolName) && !this.toolService.isWriteTool(toolName);
+  }
+
+  async callTool(toolName, args) {
+    if (!this.isExposedTool(toolName)) {
+      throw new Error(`Unknown tool: ${toolName}`);
+    }
+
+    try {
+      const result = await this.toolService.executeTool(toolName, args);
+
+      if (toolName === 'search_salesforce' && result.success) {
+        this.lastSearchResult = result;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }
+        ],
+        isError: !result.success
+      };
+    } catch (error) {
+      console.error(`MCP tool ${toolName} failed:`, error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: error.message
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // The last search plus one resource per record it returned
+  listResources() {
+    if (!this.lastSearchResult) {
+      return [];
+    }
+
+    const resources = [
+      {
+        uri: LAST_SEARCH_URI,
+        name: 'Last Salesforce search',
+        description: `Results of search_salesforce (${this.lastSearchResult.searchStrategy || 'unknown strategy'})`,
+        mimeType: 'application/json'
+      }
+    ];
+
+    Object.values(this.lastSearchResult.data || {}).forEach(records => {
+      if (!Array.isArray(records)) return;
+
+      records.forEach(record => {
+        const objectType = record.attributes?.type;
+        if (!objectType || !record.Id) return;
+
+        resources.push({
+          uri: `salesforce://${objectType}/${record.Id}`,
+          name: `${objectType}: ${record.Name || record.CaseNumber || record.Subject || record.Id}`,
+          mimeType: 'application/json'
+        });
+      });
+    });
+
+    return resources;
+  }
+
+  async readResource(uri) {
+    if (uri === LAST_SEARCH_URI) {
+      if (!this.lastSearchResult) {
+        throw new Error('No search has been run in this session yet');
+      }
+      return this.jsonResource(uri, this.lastSearchResult.data);
+    }
+
+    const match = uri.match(RECORD_URI_PATTERN);
+    if (!match) {
+      throw new Error(`Unsupported resource URI: ${uri}`);
+    }
+
+    if (!this.toolService.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+
+    const [, objectType, recordId] = match;
+    const record = await this.toolService.salesforceService.getRecord(objectType, recordId);
+    if (!record) {
+      throw new Error(`${objectType} ${recordId} not found`);
+    }
+
+    return this.jsonResource(uri, record);
+  }
+
+  // Same question the Slack buttons ask, plus a nudge to fetch the data with our tools first
+  getPrompt(name, args) {
+    const template = getPromptTemplate(name);
+    if (!template) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    const question = renderPrompt(name, args);
+
+    return {
+      description: template.description,
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text: `${question}\n\nUse the search_salesforce tool to gather the relevant records first, ` +
+                  'and reference case numbers and account names in your answer.'
+          }
+        }
+      ]
+    };
+  }
+
+  jsonResource(uri, data) {
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(data, null, 2)
+        }
+      ]
+    };
+  }
+
+  // ToolService describes parameters as prose for the LLM planner; derive a JSON schema from it
+  buildInputSchema(parameters = {}) {
+    const properties = {};
+
+    Object.entries(parameters).forEach(([name, description]) => {
+      properties[name] = {
+        ...this.inferSchemaType(description),
+        description
+      };
+    });
+
+    return {
+      type: 'object',
+      properties
+    };
+  }
+
+  inferSchemaType(description) {
+    const lowerDescription = description.toLowerCase();
+
+    if (lowerDescription.startsWith('array')) {
+      // Some array parameters also accept a single keyword such as "all"
+      return lowerDescription.includes(' or "')
+        ? { anyOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string' }] }
+        : { type: 'array', items: { type: 'string' } };
+    }
+
+    if (lowerDescription.startsWith('true|false')) {
+      return { type: ['boolean', 'string'] };
+    }
+
+    if (lowerDescription.startsWith('minimum') || lowerDescription.startsWith('maximum') || lowerDescription.startsWith('number')) {
+      return { type: 'number' };
+    }
+
+    return { type: 'string' };
+  }
+}
+
+module.exports = McpService;
@@ -1,11 +1,10 @@
-const SalesforceService = require('./salesforce');
-const JiraService = require('./jiraService');
 const axios = require('axios');
+const { getSlackPromptTemplates } = require('./promptTemplates');
+const { createConnectors } = require('./connectors');
 
 class MultiSourceService {
   constructor(team) {
-    this.salesforceService = team ? new SalesforceService(team) : null;
-    this.jiraService = new JiraService();
+    this.connectors = createConnectors(team);
     this.team = team;
   }
 
@@ -26,7 +25,7 @@ class MultiSourceService {
     Examples:
     - "help me" → {"needsSearch": false, "response": "I can help you search Salesforce cases, accounts, or opportunities. What would you like to find?"}
     - "billing issues today" → {"needsSearch": true, "searchTerms": ["billing", "invoice", "payment"], "searchType": "cases"}
-    - "what are you" → {"needsSearch": false, "response": "I'm your AI assistant that can search Salesforce and Jira data. Try asking about cases, accounts, or recent issues."}
+    - "what are you" → {"needsSearch": false, "response": "I'm your AI assistant that can search Salesforce, Jira and Zendesk data. Try asking about cases, accounts, or recent issues."}
     - "red accounts" → {"needsSearch": true, "searchTerms": ["health", "risk", "issues"], "searchType": "accounts"}
     `;
 
@@ -59,7 +58,7 @@ class MultiSourceService {
     if (conversationalPatterns.some(pattern => lowerPrompt.includes(pattern) && lowerPrompt.length < 20)) {
       return {
         needsSearch: false,
-        response: "I can help you search Salesforce cases, accounts, opportunities, or Jira issues. What would you like to find?"
+        response: "I can help you search Salesforce cases, accounts, opportunities, Jira issues, or Zendesk tickets. What would you like to find?"
       };
     }
     
@@ -93,76 +92,82 @@ class MultiSourceService {
     
     // Step 2: Check connections
     const connectionStatus = await this.checkConnections();
-    
-    const availableSources = [];
-    if (connectionStatus.salesforce.connected) {
-      availableSources.push('Salesforce');
-    }
-    if (connectionStatus.jira.connected) {
-      availableSources.push('Jira');
-    }
-    
-    // Step 3: Handle no connections case
-    if (availableSources.length === 0) {
-      return { salesforce: [], jira: [], searchTerms, connectionStatus };
-    }
-    
-    // Step 4: Execute searches quietly
-    const searchPromises = [];
-    
-    if (connectionStatus.salesforce.connected) {
-      searchPromises.push(this.searchSalesforceWithProgress(searchTerms, respondCallback));
-    }
-    
-    if (connectionStatus.jira.connected) {
-      searchPromises.push(this.searchJiraWithProgress(searchTerms, respondCallback));
-    }
-    
-    // Execute searches
-    const results = await Promise.all(searchPromises);
+    const connected = this.connectors.filter(connector => connectionStatus[connector.id].connected);
     
     const finalResults = {
-      salesforce: connectionStatus.salesforce.connected ? results[connectionStatus.jira.connected ? 0 : 0] || [] : [],
-      jira: connectionStatus.jira.connected ? results[connectionStatus.salesforce.connected ? 1 : 0] || [] : [],
+      results: {},
+      suggestions: {},
       searchTerms,
       connectionStatus,
       teamId: this.team?.id
     };
     
+    // Step 3: Handle no connections case
+    if (connected.length === 0) {
+      return finalResults;
+    }
+    
+    // Step 4: Execute searches quietly, keyed by connector so a missing source can't shift the others.
+    // A source that fails (e.g. a revoked token) is reported in connectionStatus; the others still show.
+    const outcomes = await Promise.allSettled(connected.map(connector => connector.search(searchTerms)));
+    
+    await Promise.all(connected.map(async (connector, index) => {
+      if (outcomes[index].status === 'rejected') {
+        console.error(`${connector.label} search failed:`, outcomes[index].reason?.message);
+        connectionStatus[connector.id] = {
+          connected: false,
+          reason: `Search failed: ${outcomes[index].reason?.message || 'unknown error'}`
+        };
+        return;
+      }
+      
+      const items = this.normalizeResults(connector, outcomes[index].value || []);
+      await connector.attachLinks(items);
+      finalResults.results[connector.id] = items;
+      
+      if (items.length > 0) {
+        finalResults.suggestions[connector.id] = await connector.suggest(searchTerms, items);
+      }
+    }));
+    
     // Step 5: AI Analysis of results (silent)
-    if (finalResults.jira.length > 0 || finalResults.salesforce.length > 0) {
+    if (this.countResults(finalResults) > 0) {
       finalResults.aiSummary = await this.analyzeResults(finalResults, userPrompt);
     }
     
     return finalResults;
   }
 
-  async analyzeResults(results, userPrompt) {
+  countResults(results) {
+    return Object.values(results.results || {}).reduce((total, items) => total + items.length, 0);
+  }
+
+  // Plain-text summary of every item found, used as LLM context
+  describeResults(results, commentCount) {
     const ticketData = [];
     
-    // Collect Jira ticket details
-    results.jira.forEach(issue => {
-      let ticketInfo = `JIRA ${issue.key}: ${issue.fields.summary}\nStatus: ${issue.fields.status.name}`;
-      
-      if (issue.fields.description) {
-        ticketInfo += `\nDescription: ${issue.fields.description}`;
-      }
-      
-      if (issue.fields.comment?.comments) {
-        const comments = issue.fields.comment.comments
-          .slice(-3) // Last 3 comments
-          .map(comment => `${comment.author?.displayName || 'Unknown'}: ${comment.body}`)
-          .join('\n');
-        ticketInfo += `\nRecent Comments:\n${comments}`;
-      }
-      
-      ticketData.push(ticketInfo);
+    this.connectors.forEach(connector => {
+      (results.results?.[connector.id] || []).forEach(item => {
+        let ticketInfo = `${connector.label} ${item.key}: ${item.title}\nStatus: ${item.status || 'Unknown'}` +
+                         `\nDescription: ${item.description || 'No description'}`;
+        
+        if (item.comments.length > 0) {
+          const comments = item.comments
+            .slice(-commentCount)
+            .map(comment => `${comment.author}: ${comment.text}`)
+            .join('\n');
+          ticketInfo += `\nRecent Comments:\n${comments}`;
+        }
+        
+        ticketData.push(ticketInfo);
+      });
     });
     
-    // Collect Salesforce case details
-    results.salesforce.forEach(case_ => {
-      ticketData.push(`Salesforce ${case_.CaseNumber}: ${case_.Subject}\nStatus: ${case_.Status}\nDescription: ${case_.Description || 'No description'}`);
-    });
+    return ticketData;
+  }
+
+  async analyzeResults(results, userPrompt) {
+    const ticketData = this.describeResults(results, 3);
     
     if (ticketData.length === 0) {
       return null;
@@ -193,30 +198,7 @@ class MultiSourceService {
   }
 
   async answerFollowUpQuestion(question, searchResults) {
-    const ticketData = [];
-    
-    // Collect ticket details
-    searchResults.jira.forEach(issue => {
-      let ticketInfo = `JIRA ${issue.key}: ${issue.fields.summary}\nStatus: ${issue.fields.status.name}`;
-      
-      if (issue.fields.description) {
-        ticketInfo += `\nDescription: ${issue.fields.description}`;
-      }
-      
-      if (issue.fields.comment?.comments) {
-        const comments = issue.fields.comment.comments
-          .slice(-2)
-          .map(comment => `${comment.author?.displayName || 'Unknown'}: ${comment.body}`)
-          .join('\n');
-        ticketInfo += `\nRecent Comments:\n${comments}`;
-      }
-      
-      ticketData.push(ticketInfo);
-    });
-    
-    searchResults.salesforce.forEach(case_ => {
-      ticketData.push(`Salesforce ${case_.CaseNumber}: ${case_.Subject}\nStatus: ${case_.Status}\nDescription: ${case_.Description || 'No description'}`);
-    });
+    const ticketData = this.describeResults(searchResults, 2);
     
     const followUpPrompt = `
     User question: "${question}"
@@ -239,94 +221,35 @@ class MultiSourceService {
   }
 
   async checkConnections() {
-    const status = {
-      salesforce: { connected: false, reason: '' },
-      jira: { connected: false, reason: '' }
-    };
-    
-    // Check Salesforce
-    try {
-      if (!this.salesforceService || !this.salesforceService.accessToken) {
-        status.salesforce.reason = 'Not connected - need to authorize';
-      } else {
-        status.salesforce.connected = true;
-      }
-    } catch (error) {
-      status.salesforce.reason = 'Connection error';
-    }
-    
-    // Check Jira
-    try {
-      if (!this.jiraService.baseUrl || 
-          this.jiraService.baseUrl === 'https://example.atlassian.net' ||
-          !this.jiraService.username || 
-          this.jiraService.username === 'placeholder' ||
-          !this.jiraService.apiToken || 
-          this.jiraService.apiToken === 'placeholder') {
-        status.jira.reason = 'Not configured properly';
-      } else {
-        status.jira.connected = true;
-      }
-    } catch (error) {
-      status.jira.reason = 'Connection error';
-    }
-    
-    return status;
-  }
-
-  async searchSalesforceWithProgress(searchTerms, respondCallback) {
-    if (!this.salesforceService) {
-      return [];
-    }
+    const status = {};
     
-    const allResults = [];
-    for (const searchTerm of searchTerms) {
+    this.connectors.forEach(connector => {
       try {
-        // Use basic SOSL search for simple case lookup
-        const soslQuery = `FIND {${searchTerm}} RETURNING Case(Id, CaseNumber, Subject, Status, CreatedDate, Account.Name, Contact.Name, Priority, Description WHERE Status != 'Closed') LIMIT 20`;
-        const soslResult = await this.salesforceService.executeSOSLQuery(soslQuery);
-        const results = soslResult.searchRecords || [];
-        allResults.push(...results);
+        status[connector.id] = connector.isConnected()
+          ? { connected: true, reason: '' }
+          : { connected: false, reason: connector.getDisconnectedReason() };
       } catch (error) {
-        console.error(`Salesforce search failed for "${searchTerm}":`, error.message);
-        if (error.message.includes('not connected') || error.message.includes('token')) {
-          throw error;
-        }
-      }
-    }
-    return this.removeDuplicates(allResults, 'Id');
-  }
-
-  async searchJiraWithProgress(searchTerms, respondCallback) {
-    const allResults = [];
-    for (const searchTerm of searchTerms) {
-      try {
-        const results = await this.jiraService.searchIssues(searchTerm);
-        allResults.push(...results);
-      } catch (error) {
-        console.error(`Jira search failed for "${searchTerm}":`, error.message);
-        if (error.message.includes('ENOTFOUND') || error.message.includes('authentication')) {
-          throw error;
-        }
+        status[connector.id] = { connected: false, reason: 'Connection error' };
       }
-    }
-    return this.removeDuplicates(allResults, 'key');
+    });
+    
+    return status;
   }
 
-  removeDuplicates(array, idField) {
+  // Normalizes each record through its connector and drops repeats found by several search terms
+  normalizeResults(connector, records) {
     const seen = new Set();
-    return array.filter(item => {
-      const id = item[idField];
-      if (seen.has(id)) {
+    return records.map(record => connector.normalize(record)).filter(item => {
+      if (seen.has(item.id)) {
         return false;
       }
-      seen.add(id);
+      seen.add(item.id);
       return true;
     });
   }
 
   formatFinalResults(results, userPrompt, progressMessages = []) {
-    const { salesforce, jira, searchTerms, connectionStatus, aiSummary } = results;
+    const { searchTerms, connectionStatus, aiSummary } = results;
     
     const blocks = [
       {
@@ -337,6 +260,13 @@ class MultiSourceService {
         }
       }
     ];
+    
+    // Sections can end next to each other, so skip a divider straight after another
+    const addDivider = () => {
+      if (blocks[blocks.length - 1].type !== "divider") {
+        blocks.push({ type: "divider" });
+      }
+    };
 
     // Add AI summary if available (most important info first)
     if (aiSummary) {
@@ -354,42 +284,28 @@ class MultiSourceService {
       });
     }
 
-    let totalFound = 0;
+    const totalFound = this.countResults(results);
 
-    // Add Salesforce results with better formatting
-    if (salesforce && salesforce.length > 0) {
+    // One section per source, in registry order
+    this.connectors.forEach(connector => {
+      const items = results.results[connector.id] || [];
+      if (items.length === 0) {
+        return;
+      }
+      
       blocks.push({
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `*🏢 Salesforce Cases (${salesforce.length} found)*`
+          text: `*${connector.emoji} ${connector.label} (${items.length} found)*`
         }
       });
 
-      salesforce.forEach((case_, index) => {
-        const customerName = case_.Account?.Name || 'Unknown Customer';
-        const contactName = case_.Contact?.Name || 'No Contact';
-        
-        blocks.push({
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `*${case_.CaseNumber}* - ${case_.Subject}\n` +
-                  `👤 ${customerName} (${contactName})\n` +
-                  `📊 ${case_.Status} • ${case_.Priority} Priority`
-          },
-          accessory: {
-            type: "button",
-            text: {
-              type: "plain_text",
-              text: "View"
-            },
-            value: case_.Id
-          }
-        });
+      items.forEach((item, index) => {
+        blocks.push(connector.format(item));
         
         // Add spacing between items
-        if (index < salesforce.length - 1) {
+        if (index < items.length - 1) {
           blocks.push({
             type: "context",
             elements: [{
@@ -400,158 +316,59 @@ class MultiSourceService {
         }
       });
       
-      totalFound += salesforce.length;
+      blocks.push(...(results.suggestions?.[connector.id] || []));
       
-      // Add divider after Salesforce section
-      blocks.push({
-        type: "divider"
-      });
-    }
+      // Add divider after each source's section
+      addDivider();
+    });
+
+    const disconnected = this.connectors.filter(connector => !connectionStatus[connector.id]?.connected);
 
-    // Add Jira results with improved formatting
-    if (results.jira && results.jira.length > 0) {
+    // If no results found
+    if (totalFound === 0) {
       blocks.push({
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `*🎯 Jira Issues (${results.jira.length} found)*`
-        }
-      });
-
-      // Format Jira results with better spacing
-      results.jira.forEach((issue, index) => {
-        let issueText = `*${issue.key}* - ${issue.fields.summary}\n` +
-                       `📊 ${issue.fields.status.name} • ${issue.fields.priority?.name || 'No Priority'}\n` +
-                       `👤 ${issue.fields.assignee?.displayName || 'Unassigned'}`;
-        
-        // Add description if available (truncated)
-        if (issue.fields.description) {
-          const desc = issue.fields.description.substring(0, 150);
-          issueText += `\n📝 ${desc}${desc.length === 150 ? '...' : ''}`;
-        }
-        
-        // Add most recent comment if available
-        if (issue.fields.comment?.comments?.length > 0) {
-          const lastComment = issue.fields.comment.comments.slice(-1)[0];
-          const author = lastComment.author?.displayName || 'Unknown';
-          const body = lastComment.body.substring(0, 100);
-          issueText += `\n💬 ${author}: ${body}${body.length === 100 ? '...' : ''}`;
-        }
-
-        blocks.push({
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: issueText
-          },
-          accessory: {
-            type: "button",
-            text: {
-              type: "plain_text",
-              text: "Open"
-            },
-            url: `${this.jiraService.baseUrl}/browse/${issue.key}`
-          }
-        });
-        
-        // Add spacing between issues
-        if (index < results.jira.length - 1) {
-          blocks.push({
-            type: "context",
-            elements: [{
-              type: "plain_text",
-              text: " "
-            }]
-          });
+          text: `🔍 No tickets found matching "${userPrompt}"\n\nTry searching with different keywords or check your system connections.`
         }
       });
-      
-      totalFound += results.jira.length;
     }
 
     // Add connection prompts for disconnected systems
-    if (!connectionStatus.salesforce.connected && totalFound > 0) {
-      blocks.push({
-        type: "divider"
-      });
+    if (disconnected.length > 0) {
+      addDivider();
       
       blocks.push({
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `💡 *Want to search Salesforce too?*\nConnect your Salesforce org to search support cases alongside Jira issues.`
-        },
-        accessory: {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: "Connect Salesforce"
-          },
-          url: `${process.env.APP_URL}/setup/salesforce?team_id=${results.teamId}`,
-          style: "primary"
-        }
-      });
-    }
-
-    // If no results found
-    if (totalFound === 0) {
-      blocks.push({
-        type: "section",
-        text: {
-          type: "mrkdwn",
-          text: `🔍 No tickets found matching "${userPrompt}"\n\nTry searching with different keywords or check your system connections.`
+          text: totalFound > 0 ? "💡 *Want to search more sources?*" : "*🔧 Available Connections:*"
         }
       });
       
-      // Show connection options when no results
-      if (!connectionStatus.salesforce.connected || !connectionStatus.jira.connected) {
-        blocks.push({
-          type: "divider"
-        });
-        
+      disconnected.forEach(connector => {
         blocks.push({
           type: "section",
           text: {
             type: "mrkdwn",
-            text: "*🔧 Available Connections:*"
-          }
-        });
-        
-        if (!connectionStatus.salesforce.connected) {
-          blocks.push({
-            type: "section",
+            text: `${connector.emoji} ${connector.label} - ${connectionStatus[connector.id].reason}`
+          },
+          accessory: {
+            type: "button",
             text: {
-              type: "mrkdwn",
-              text: "🏢 Salesforce - Not connected"
+              type: "plain_text",
+              text: "Connect"
             },
-            accessory: {
-              type: "button",
-              text: {
-                type: "plain_text",
-                text: "Connect"
-              },
-              url: `${process.env.APP_URL}/setup/salesforce?team_id=${results.teamId}`
-            }
-          });
-        }
-        
-        if (!connectionStatus.jira.connected) {
-          blocks.push({
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: "🎯 Jira - Not properly configured"
-            }
-          });
-        }
-      }
+            url: connector.getSetupUrl()
+          }
+        });
+      });
     }
 
     // Add interactive follow-up section
     if (totalFound > 0) {
-      blocks.push({
-        type: "divider"
-      });
+      addDivider();
       
       blocks.push({
         type: "section",
@@ -563,35 +380,15 @@ class MultiSourceService {
       
       blocks.push({
         type: "actions",
-        elements: [
-          {
-            type: "button",
-            text: {
-              type: "plain_text",
-              text: "Summarize Issues"
-            },
-            value: `ask_summarize_${Date.now()}`,
-            action_id: "ask_summarize"
-          },
-          {
-            type: "button",
-            text: {
-              type: "plain_text",
-              text: "Priority Analysis"
-            },
-            value: `ask_priority_${Date.now()}`,
-            action_id: "ask_priority"
+        elements: getSlackPromptTemplates().map(template => ({
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: template.slack.buttonText
           },
-          {
-            type: "button",
-            text: {
-              type: "plain_text",
-              text: "Next Steps"
-            },
-            value: `ask_nextsteps_${Date.now()}`,
-            action_id: "ask_nextsteps"
-          }
-        ]
+          value: `${template.slack.actionId}_${Date.now()}`,
+          action_id: template.slack.actionId
+        }))
       });
     }
 
@@ -0,0 +1,109 @@
+// Canned analysis prompts shared by the Slack follow-up buttons and MCP prompts/get.
+// Arguments are optional so that a Slack button can run a template without any input.
+const PROMPT_TEMPLATES = [
+  {
+    name: 'summarize_issues',
+    description: 'Summarize the current issues and their status',
+    arguments: [
+      { name: 'focus', description: 'optional topic to focus the summary on (e.g., "billing")', required: false }
+    ],
+    slack: {
+      actionId: 'ask_summarize',
+      buttonText: 'Summarize Issues',
+      heading: '📋 **Issue Summary:**',
+      errorText: 'Failed to generate summary'
+    },
+    render: args => `Please provide a summary of the current issues and their status${args.focus ? `, focusing on ${args.focus}` : ''}`
+  },
+  {
+    name: 'priority_analysis',
+    description: 'Identify the highest priority issues that need immediate attention',
+    arguments: [
+      { name: 'limit', description: 'optional number of issues to highlight', required: false }
+    ],
+    slack: {
+      actionId: 'ask_priority',
+      buttonText: 'Priority Analysis',
+      heading: '🔥 **Priority Analysis:**',
+      errorText: 'Failed to analyze priorities'
+    },
+    render: args => args.limit
+      ? `What are the top ${args.limit} highest priority issues that need immediate attention?`
+      : 'What are the highest priority issues that need immediate attention?'
+  },
+  {
+    name: 'next_steps',
+    description: 'Recommend next steps to resolve the current issues',
+    arguments: [
+      { name: 'audience', description: 'optional team the recommendations are for (e.g., "support engineers")', required: false }
+    ],
+    slack: {
+      actionId: 'ask_nextsteps',
+      buttonText: 'Next Steps',
+      heading: '🎯 **Recommended Next Steps:**',
+      errorText: 'Failed to generate next steps'
+    },
+    render: args => `What are the recommended next steps to resolve these issues${args.audience ? ` for ${args.audience}` : ''}?`
+  },
+  {
+    name: 'account_health_review',
+    description: 'Review account health based on open cases, escalations and pipeline',
+    arguments: [
+      { name: 'account_name', description: 'optional account to review; defaults to the accounts in the results', required: false }
+    ],
+    slack: {
+      actionId: 'ask_account_health',
+      buttonText: 'Account Health',
+      heading: '🏢 **Account Health Review:**',
+      errorText: 'Failed to review account health'
+    },
+    render: args => `Review the health of ${args.account_name ? `the account "${args.account_name}"` : 'the accounts in these results'}. ` +
+      'Consider open and escalated cases, how long they have been waiting, and any pipeline at risk. ' +
+      'Rate each account green, yellow or red and explain why.'
+  },
+  {
+    name: 'escalation_triage',
+    description: 'Triage escalated or at-risk issues and recommend owners and urgency',
+    arguments: [
+      { name: 'time_range', description: 'optional period to consider (e.g., "last 7 days")', required: false }
+    ],
+    slack: {
+      actionId: 'ask_escalations',
+      buttonText: 'Escalation Triage',
+      heading: '🚨 **Escalation Triage:**',
+      errorText: 'Failed to triage escalations'
+    },
+    render: args => `Triage the escalated or at-risk issues${args.time_range ? ` from the ${args.time_range}` : ''}. ` +
+      'For each one, state the urgency (critical, high, medium), the likely owner team, and the immediate action to take.'
+  }
+];
+
+function listPromptTemplates() {
+  return PROMPT_TEMPLATES;
+}
+
+function getPromptTemplate(name) {
+  return PROMPT_TEMPLATES.find(template => template.name === name) || null;
+}
+
+function getSlackPromptTemplates() {
+  return PROMPT_TEMPLATES.filter(template => template.slack);
+}
+
+function renderPrompt(name, args = {}) {
+  const template = getPromptTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+
+  const missing = template.arguments
+    .filter(arg => arg.required && !args[arg.name])
+    .map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new Error(`Missing required prompt arguments: ${missing.join(', ')}`);
+  }
+
+  return template.render(args);
+}
+
+module.exports = { listPromptTemplates, getPromptTemplate, getSlackPromptTemplates, renderPrompt };
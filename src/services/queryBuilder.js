@@ -0,0 +1,321 @@
+// Safe construction of SOQL and SOSL queries.
+// Every value that came from a user or the LLM must go through these helpers -
+// never interpolate it into a query string directly.
+
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'LIKE', 'IN', 'NOT IN', 'INCLUDES', 'EXCLUDES'];
+const DATE_LITERALS = ['TODAY', 'YESTERDAY', 'THIS_WEEK', 'LAST_WEEK', 'THIS_MONTH', 'LAST_MONTH', 'THIS_QUARTER', 'LAST_QUARTER', 'THIS_YEAR', 'LAST_YEAR'];
+const AGGREGATE_FUNCTIONS = ['COUNT', 'COUNT_DISTINCT', 'SUM', 'AVG', 'MIN', 'MAX'];
+const DATE_N_LITERALS = ['LAST_N_DAYS', 'NEXT_N_DAYS', 'LAST_N_WEEKS', 'LAST_N_MONTHS', 'LAST_N_QUARTERS'];
+
+// Reserved characters inside SOSL FIND {...}
+const SOSL_RESERVED = /[?&|!{}[\]()^~*:\\"'+-]/g;
+
+const IDENTIFIER = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Escape a value for use inside a single-quoted SOQL string literal
+function escapeSOQLString(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/\f/g, '\\f')
+    .replace(/\x08/g, '\\b');
+}
+
+// Additionally escape LIKE wildcards so user text matches literally
+function escapeSOQLLike(value) {
+  return escapeSOQLString(value)
+    .replace(/%/g, '\\%')
+    .replace(/_/g, '\\_');
+}
+
+function escapeSOSLTerm(value) {
+  return String(value)
+    .replace(SOSL_RESERVED, match => `\\${match}`)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isIdentifier(name) {
+  return typeof name === 'string' && IDENTIFIER.test(name);
+}
+
+// Field names and relationship paths such as Account.Name
+function isFieldPath(path) {
+  return typeof path === 'string' && path.split('.').every(isIdentifier);
+}
+
+function isRecordId(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9]{15}([A-Za-z0-9]{3})?$/.test(value);
+}
+
+function assertIdentifier(name, kind = 'object') {
+  if (!isIdentifier(name)) {
+    throw new Error(`Invalid ${kind} name: ${name}`);
+  }
+  return name;
+}
+
+function assertFieldPath(path) {
+  if (!isFieldPath(path)) {
+    throw new Error(`Invalid field name: ${path}`);
+  }
+  return path;
+}
+
+// A pre-validated value that is written into the query as-is (date literals)
+class Literal {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+function dateLiteral(name, n) {
+  if (DATE_LITERALS.includes(name) && n === undefined) {
+    return new Literal(name);
+  }
+  if (DATE_N_LITERALS.includes(name) && Number.isInteger(n) && n > 0) {
+    return new Literal(`${name}:${n}`);
+  }
+  throw new Error(`Invalid date literal: ${name}${n !== undefined ? `:${n}` : ''}`);
+}
+
+function formatValue(value) {
+  if (value instanceof Literal) {
+    return value.text;
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid number: ${value}`);
+    }
+    return String(value);
+  }
+  return `'${escapeSOQLString(value)}'`;
+}
+
+// A WHERE clause fragment. Keeps the fields it touches so the builder can check them.
+class Condition {
+  constructor(text, fields) {
+    this.text = text;
+    this.fields = fields;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+function condition(field, operator, value) {
+  assertFieldPath(field);
+  const op = String(operator).toUpperCase();
+  if (!OPERATORS.includes(op)) {
+    throw new Error(`Operator not allowed: ${operator}`);
+  }
+
+  let formatted;
+  if (op === 'IN' || op === 'NOT IN' || op === 'INCLUDES' || op === 'EXCLUDES') {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error(`${op} needs a non-empty list of values`);
+    }
+    formatted = `(${value.map(formatValue).join(', ')})`;
+  } else {
+    formatted = formatValue(value);
+  }
+
+  return new Condition(`${field} ${op} ${formatted}`, [field]);
+}
+
+// Case-insensitive "contains" match on user text (wildcards in the text are matched literally)
+function contains(field, text) {
+  assertFieldPath(field);
+  return new Condition(`${field} LIKE '%${escapeSOQLLike(text)}%'`, [field]);
+}
+
+function combine(joiner, conditions) {
+  const parts = conditions.filter(Boolean);
+  parts.forEach(part => {
+    if (!(part instanceof Condition)) {
+      throw new Error('Conditions must be built with condition(), contains(), and() or or()');
+    }
+  });
+  if (parts.length === 1) {
+    return parts[0];
+  }
+  return new Condition(
+    `(${parts.map(part => part.text).join(` ${joiner} `)})`,
+    parts.flatMap(part => part.fields)
+  );
+}
+
+function and(...conditions) {
+  return combine('AND', conditions);
+}
+
+function or(...conditions) {
+  return combine('OR', conditions);
+}
+
+class SOQLBuilder {
+  // isFieldAllowed lets callers restrict queries to fields known to exist (e.g. from describe)
+  constructor(objectType, { isFieldAllowed } = {}) {
+    this.objectType = assertIdentifier(objectType);
+    this.isFieldAllowed = isFieldAllowed || (() => true);
+    // Nothing selected means SELECT Id
+    this.fields = [];
+    this.conditions = [];
+    this.groupByFields = [];
+    this.order = null;
+    this.limitCount = null;
+  }
+
+  checkField(field) {
+    assertFieldPath(field);
+    if (field !== 'Id' && !this.isFieldAllowed(field)) {
+      throw new Error(`Field not allowed on ${this.objectType}: ${field}`);
+    }
+    return field;
+  }
+
+  select(fields) {
+    const list = Array.isArray(fields) ? fields : String(fields).split(',');
+    this.fields = list.map(field => field.trim()).filter(Boolean).map(field => this.checkField(field));
+    return this;
+  }
+
+  // Optional alias names the column in the returned AggregateResult records
+  aggregate(fn, field, alias) {
+    const expression = this.aggregateExpression(fn, field);
+    this.fields.push(alias ? `${expression} ${assertIdentifier(alias, 'alias')}` : expression);
+    return this;
+  }
+
+  aggregateExpression(fn, field) {
+    const name = String(fn).toUpperCase();
+    if (!AGGREGATE_FUNCTIONS.includes(name)) {
+      throw new Error(`Aggregate function not allowed: ${fn}`);
+    }
+    return `${name}(${this.checkField(field)})`;
+  }
+
+  // Grouped fields are selected too; aliases (in the same order) rename them in the results
+  groupBy(fields, aliases = []) {
+    fields.forEach((field, index) => {
+      this.groupByFields.push(this.checkField(field));
+      this.fields.push(aliases[index] ? `${field} ${assertIdentifier(aliases[index], 'alias')}` : field);
+    });
+    return this;
+  }
+
+  where(...conditions) {
+    conditions.filter(Boolean).forEach(cond => {
+      if (!(cond instanceof Condition)) {
+        throw new Error('Conditions must be built with condition(), contains(), and() or or()');
+      }
+      cond.fields.forEach(field => this.checkField(field));
+      this.conditions.push(cond);
+    });
+    return this;
+  }
+
+  orderBy(field, direction = 'ASC') {
+    const dir = String(direction).toUpperCase();
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw new Error(`Invalid sort direction: ${direction}`);
+    }
+    this.order = `${this.checkField(field)} ${dir}`;
+    return this;
+  }
+
+  orderByAggregate(fn, field, direction = 'DESC') {
+    const dir = String(direction).toUpperCase();
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw new Error(`Invalid sort direction: ${direction}`);
+    }
+    this.order = `${this.aggregateExpression(fn, field)} ${dir}`;
+    return this;
+  }
+
+  limit(count) {
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error(`Invalid limit: ${count}`);
+    }
+    this.limitCount = count;
+    return this;
+  }
+
+  build() {
+    let query = `SELECT ${this.fields.length > 0 ? this.fields.join(', ') : 'Id'} FROM ${this.objectType}`;
+    if (this.conditions.length > 0) {
+      query += ` WHERE ${this.conditions.map(cond => cond.text).join(' AND ')}`;
+    }
+    if (this.groupByFields.length > 0) {
+      query += ` GROUP BY ${this.groupByFields.join(', ')}`;
+    }
+    if (this.order) {
+      query += ` ORDER BY ${this.order}`;
+    }
+    if (this.limitCount) {
+      query += ` LIMIT ${this.limitCount}`;
+    }
+    return query;
+  }
+}
+
+// FIND {term} RETURNING Object(fields WHERE ...), ... [LIMIT n]
+function buildSOSLQuery(term, returning, { limit } = {}) {
+  const escapedTerm = escapeSOSLTerm(term);
+  if (!escapedTerm) {
+    throw new Error('SOSL search term is empty');
+  }
+
+  const returningClauses = returning.map(({ objectType, fields = ['Id'], where }) => {
+    assertIdentifier(objectType);
+    fields.forEach(assertFieldPath);
+    let clause = fields.join(', ');
+    if (where) {
+      if (!(where instanceof Condition)) {
+        throw new Error('Conditions must be built with condition(), contains(), and() or or()');
+      }
+      clause += ` WHERE ${where.text}`;
+    }
+    return `${objectType}(${clause})`;
+  });
+
+  let query = `FIND {${escapedTerm}} RETURNING ${returningClauses.join(', ')}`;
+  if (limit) {
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error(`Invalid limit: ${limit}`);
+    }
+    query += ` LIMIT ${limit}`;
+  }
+  return query;
+}
+
+module.exports = {
+  SOQLBuilder,
+  condition,
+  contains,
+  and,
+  or,
+  dateLiteral,
+  buildSOSLQuery,
+  escapeSOQLString,
+  escapeSOQLLike,
+  escapeSOSLTerm,
+  isIdentifier,
+  isFieldPath,
+  isRecordId
+};
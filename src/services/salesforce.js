@@ -1,99 +1,502 @@
 const axios = require('axios');
+const { SOQLBuilder, contains, condition, and, buildSOSLQuery, isIdentifier, isRecordId } = require('./queryBuilder');
+
+// Describe results rarely change, so they are cached per team for an hour
+const SCHEMA_CACHE_TTL = 60 * 60 * 1000;
+const schemaCache = new Map();
+
+const DEFAULT_LOGIN_DOMAIN = 'login.salesforce.com';
+const DEFAULT_API_VERSION = 'v58.0';
+const LOGIN_ENVIRONMENTS = {
+  production: 'login.salesforce.com',
+  sandbox: 'test.salesforce.com'
+};
+
+// Salesforce token responses carry issued_at but no expiry; the default org session timeout is 2 hours
+const DEFAULT_SESSION_LIFETIME = 2 * 60 * 60 * 1000;
+// Refresh this long before the expected expiry rather than waiting for INVALID_SESSION_ID
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+const KNOWLEDGE_PUBLISH_STATUSES = ['Online', 'Draft', 'Archived'];
+
+// One refresh per team at a time - with rotation enabled, a second concurrent refresh would use a revoked token
+const refreshesInFlight = new Map();
 
 class SalesforceService {
   constructor(team) {
     this.team = team;
     this.instanceUrl = team.salesforce_instance_url;
     this.accessToken = team.salesforce_access_token;
+    this.loginUrl = `https://${team.salesforce_login_domain || DEFAULT_LOGIN_DOMAIN}`;
+    this.apiVersion = team.salesforce_api_version || DEFAULT_API_VERSION;
   }
 
-  async executeSOQLQuery(query) {
+  // Accepts "production", "sandbox", or a My Domain host/URL (e.g. acme.my.salesforce.com).
+  // Only Salesforce hosts are allowed, since the client secret is sent to this domain.
+  static normalizeLoginDomain(value) {
+    const input = String(value || '').trim().toLowerCase();
+    if (!input) {
+      return DEFAULT_LOGIN_DOMAIN;
+    }
+    if (LOGIN_ENVIRONMENTS[input]) {
+      return LOGIN_ENVIRONMENTS[input];
+    }
+
+    const host = input.replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*\.(salesforce|force)\.com$/.test(host)) {
+      throw new Error(`Invalid Salesforce login domain: ${value}`);
+    }
+    return host;
+  }
+
+  static getTokenTimestamps(tokenResponse) {
+    const issuedAt = tokenResponse.issued_at ? new Date(Number(tokenResponse.issued_at)) : new Date();
+    const lifetime = tokenResponse.expires_in ? Number(tokenResponse.expires_in) * 1000 : DEFAULT_SESSION_LIFETIME;
+    return {
+      issuedAt,
+      expiresAt: new Date(issuedAt.getTime() + lifetime)
+    };
+  }
+
+  // Accepts "60.0" or "v60.0"
+  static normalizeApiVersion(value) {
+    const input = String(value || '').trim();
+    if (!input) {
+      return DEFAULT_API_VERSION;
+    }
+
+    const match = input.match(/^v?(\d{2,3})\.0$/i);
+    if (!match) {
+      throw new Error(`Invalid Salesforce API version: ${value}`);
+    }
+    return `v${match[1]}.0`;
+  }
+
+  // Call a REST API path on the team's instance, refreshing the access token once if the session expired
+  async request(method, path, { params, data } = {}, label, isRetry = false) {
     if (!this.accessToken || !this.instanceUrl) {
       throw new Error('Salesforce not connected for this team');
     }
 
+    if (!isRetry && this.isTokenExpiring()) {
+      console.log('🔄 Salesforce token is about to expire, refreshing ahead of time...');
+      await this.refreshAccessToken();
+    }
+
     try {
-      const response = await axios.get(
-        `${this.instanceUrl}/services/data/v58.0/query`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Content-Type': 'application/json'
-          },
-          params: {
-            q: query
-          }
-        }
-      );
+      const response = await axios({
+        method,
+        url: `${this.instanceUrl}${path}`,
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        params,
+        data
+      });
 
       return response.data;
     } catch (error) {
-      console.error('SOQL query failed:', error.response?.data || error.message);
+      console.error(`${label} failed:`, error.response?.data || error.message);
+      
+      const errorData = error.response?.data;
+      const sessionExpired = Array.isArray(errorData) && errorData[0]?.errorCode === 'INVALID_SESSION_ID';
       
       // Try to refresh token if session expired
-      if (error.response?.data?.[0]?.errorCode === 'INVALID_SESSION_ID') {
+      if (sessionExpired && !isRetry) {
         console.log('Attempting to refresh Salesforce token...');
         const refreshed = await this.refreshAccessToken();
         if (refreshed) {
-          // Retry the query with new token
-          return this.executeSOQLQuery(query);
+          // Retry the request with new token
+          return this.request(method, path, { params, data }, label, true);
         }
       }
       
-      // Check for session expired errors
-      const errorData = error.response?.data;
-      if (Array.isArray(errorData) && errorData[0]?.errorCode === 'INVALID_SESSION_ID') {
+      if (sessionExpired) {
         throw new Error('SALESFORCE_SESSION_EXPIRED');
       }
       
-      throw new Error(`SOQL query failed: ${error.response?.data?.message || error.message}`);
+      const message = Array.isArray(errorData) ? errorData[0]?.message : errorData?.message;
+      throw new Error(`${label} failed: ${message || error.message}`);
+    }
+  }
+
+  // Returns the first batch only (up to 2000 rows) - use queryAll() or queryIterator() to follow nextRecordsUrl.
+  // includeDeleted uses the queryAll endpoint, which also returns deleted and archived records.
+  async executeSOQLQuery(query, options = {}) {
+    const endpoint = options.includeDeleted ? 'queryAll' : 'query';
+    return this.request('get', `/services/data/${this.apiVersion}/${endpoint}`, { params: { q: query } }, 'SOQL query');
+  }
+
+  // Yields records one by one, fetching further batches via nextRecordsUrl until done or maxRecords is reached
+  async *queryIterator(query, options = {}) {
+    const maxRecords = options.maxRecords || Infinity;
+    let yielded = 0;
+    let batch = await this.executeSOQLQuery(query, options);
+
+    while (true) {
+      for (const record of batch.records || []) {
+        if (yielded >= maxRecords) return;
+        yield record;
+        yielded++;
+      }
+
+      if (batch.done || !batch.nextRecordsUrl || yielded >= maxRecords) return;
+
+      batch = await this.request('get', batch.nextRecordsUrl, {}, 'SOQL query (next batch)');
     }
   }
 
+  // Collects every batch into one response shaped like executeSOQLQuery's, capped at maxRecords (default 10000)
+  async queryAll(query, options = {}) {
+    const maxRecords = options.maxRecords || 10000;
+    const records = [];
+
+    for await (const record of this.queryIterator(query, { ...options, maxRecords: maxRecords + 1 })) {
+      records.push(record);
+    }
+
+    const truncated = records.length > maxRecords;
+    if (truncated) {
+      console.log(`⚠️ SOQL query hit the ${maxRecords} record cap, results truncated`);
+      records.pop();
+    }
+
+    return {
+      totalSize: records.length,
+      done: !truncated,
+      truncated,
+      records
+    };
+  }
+
   async executeSOSLQuery(soslQuery) {
-    if (!this.accessToken || !this.instanceUrl) {
-      throw new Error('Salesforce not connected for this team');
+    const data = await this.request('get', `/services/data/${this.apiVersion}/search`, { params: { q: soslQuery } }, 'SOSL query');
+
+    console.log('SOSL Query:', soslQuery);
+    console.log('SOSL Results:', data.searchRecords?.length || 0);
+
+    return data;
+  }
+
+  // Knowledge articles matching a search term. SOSL on KnowledgeArticleVersion requires a
+  // PublishStatus filter, and Language is needed in multilingual orgs.
+  async searchKnowledge(term, { language = 'en_US', publishStatus = 'Online', limit = 5 } = {}) {
+    const status = KNOWLEDGE_PUBLISH_STATUSES.find(value => value.toLowerCase() === String(publishStatus).toLowerCase());
+    if (!status) {
+      throw new Error(`Invalid publish status: ${publishStatus}`);
+    }
+    if (!/^[a-z]{2}(_[A-Z]{2})?$/.test(language)) {
+      throw new Error(`Invalid language: ${language}`);
     }
 
-    try {
-      const response = await axios.get(
-        `${this.instanceUrl}/services/data/v58.0/search`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Content-Type': 'application/json'
-          },
-          params: {
-            q: soslQuery
-          }
-        }
+    const soslQuery = buildSOSLQuery(term, [{
+      objectType: 'KnowledgeArticleVersion',
+      fields: ['Id', 'KnowledgeArticleId', 'ArticleNumber', 'Title', 'Summary', 'LastPublishedDate'],
+      where: and(condition('PublishStatus', '=', status), condition('Language', '=', language))
+    }], { limit });
+    const data = await this.executeSOSLQuery(soslQuery);
+
+    return (data.searchRecords || []).map(article => ({
+      id: article.Id,
+      articleNumber: article.ArticleNumber,
+      title: article.Title,
+      summary: article.Summary,
+      lastPublishedDate: article.LastPublishedDate,
+      url: `${this.instanceUrl}/${article.KnowledgeArticleId || article.Id}`
+    }));
+  }
+
+  // Composite batch API: runs independent subrequests in one HTTP call (25 per batch).
+  // Returns one { success, statusCode, data, error } per subrequest, in order.
+  async executeBatch(subrequests) {
+    const results = [];
+
+    for (let i = 0; i < subrequests.length; i += 25) {
+      const chunk = subrequests.slice(i, i + 25);
+      const response = await this.request(
+        'post',
+        `/services/data/${this.apiVersion}/composite/batch`,
+        { data: { haltOnError: false, batchRequests: chunk } },
+        'Composite batch'
       );
 
-      console.log('SOSL Query:', soslQuery);
-      console.log('SOSL Results:', response.data.searchRecords?.length || 0);
+      response.results.forEach(result => {
+        const success = result.statusCode < 400;
+        results.push({
+          success,
+          statusCode: result.statusCode,
+          data: success ? result.result : null,
+          error: success ? null : (result.result?.[0]?.message || `HTTP ${result.statusCode}`)
+        });
+      });
+    }
+
+    console.log(`Composite batch: ${subrequests.length} subrequests in ${Math.ceil(subrequests.length / 25)} call(s)`);
+    return results;
+  }
 
-      return response.data;
-    } catch (error) {
-      console.error('SOSL query failed:', error.response?.data || error.message);
-      
-      // Try to refresh token if session expired
-      if (error.response?.data?.[0]?.errorCode === 'INVALID_SESSION_ID') {
-        console.log('Attempting to refresh Salesforce token...');
-        const refreshed = await this.refreshAccessToken();
-        if (refreshed) {
-          // Retry the query with new token
-          return this.executeSOSLQuery(soslQuery);
-        }
+  async executeSOQLBatch(queries) {
+    return this.executeBatch(queries.map(query => ({
+      method: 'GET',
+      url: `${this.apiVersion}/query?q=${encodeURIComponent(query)}`
+    })));
+  }
+
+  async executeSOSLBatch(queries) {
+    return this.executeBatch(queries.map(query => ({
+      method: 'GET',
+      url: `${this.apiVersion}/search?q=${encodeURIComponent(query)}`
+    })));
+  }
+
+  getSchemaCache() {
+    const cacheKey = this.team.id || this.instanceUrl;
+    if (!schemaCache.has(cacheKey)) {
+      schemaCache.set(cacheKey, { sobjects: null, objects: new Map() });
+    }
+    return schemaCache.get(cacheKey);
+  }
+
+  // List of sObjects in the org (standard and custom)
+  async describeGlobal() {
+    const cache = this.getSchemaCache();
+    if (cache.sobjects && Date.now() - cache.sobjects.fetchedAt < SCHEMA_CACHE_TTL) {
+      return cache.sobjects.data;
+    }
+
+    const data = await this.request('get', `/services/data/${this.apiVersion}/sobjects`, {}, 'Describe global');
+    const sobjects = data.sobjects.map(sobject => ({
+      name: sobject.name,
+      label: sobject.label,
+      custom: sobject.custom,
+      queryable: sobject.queryable,
+      searchable: sobject.searchable,
+      keyPrefix: sobject.keyPrefix
+    }));
+
+    cache.sobjects = { data: sobjects, fetchedAt: Date.now() };
+    return sobjects;
+  }
+
+  // Fields (with active picklist values) and relationships of one sObject
+  async describeObject(objectType) {
+    if (!isIdentifier(objectType)) {
+      throw new Error(`Invalid object type: ${objectType}`);
+    }
+
+    const cache = this.getSchemaCache();
+    const cached = cache.objects.get(objectType);
+    if (cached && Date.now() - cached.fetchedAt < SCHEMA_CACHE_TTL) {
+      return cached.data;
+    }
+
+    const data = await this.request('get', `/services/data/${this.apiVersion}/sobjects/${objectType}/describe`, {}, `Describe ${objectType}`);
+    const schema = {
+      name: data.name,
+      label: data.label,
+      queryable: data.queryable,
+      searchable: data.searchable,
+      fields: data.fields.map(field => ({
+        name: field.name,
+        label: field.label,
+        type: field.type,
+        custom: field.custom,
+        filterable: field.filterable,
+        updateable: field.updateable,
+        groupable: field.groupable,
+        aggregatable: field.aggregatable,
+        nameField: field.nameField,
+        relationshipName: field.relationshipName,
+        referenceTo: field.referenceTo || [],
+        picklistValues: (field.picklistValues || [])
+          .filter(value => value.active)
+          .map(value => value.value)
+      })),
+      childRelationships: (data.childRelationships || [])
+        .filter(relationship => relationship.relationshipName)
+        .map(relationship => ({
+          relationshipName: relationship.relationshipName,
+          childSObject: relationship.childSObject,
+          field: relationship.field
+        }))
+    };
+
+    cache.objects.set(objectType, { data: schema, fetchedAt: Date.now() });
+    return schema;
+  }
+
+  // The first three characters of a record ID identify its sObject
+  async getObjectTypeForId(recordId) {
+    if (!isRecordId(recordId)) {
+      throw new Error(`Invalid record ID: ${recordId}`);
+    }
+    const sobjects = await this.describeGlobal();
+    const sobject = sobjects.find(item => item.keyPrefix === recordId.slice(0, 3));
+    if (!sobject) {
+      throw new Error(`No object found for record ID ${recordId}`);
+    }
+    return sobject.name;
+  }
+
+  async getPicklistValues(objectType, fieldName) {
+    const schema = await this.describeObject(objectType);
+    const field = schema.fields.find(f => f.name === fieldName);
+    return field ? field.picklistValues : [];
+  }
+
+  // Fetch every field of a single record (FIELDS(ALL) requires a LIMIT of 200 or less).
+  // Both inputs are validated above, so they are safe to place in the query.
+  async getRecord(objectType, recordId) {
+    if (!isIdentifier(objectType)) {
+      throw new Error(`Invalid object type: ${objectType}`);
+    }
+    if (!isRecordId(recordId)) {
+      throw new Error(`Invalid record ID: ${recordId}`);
+    }
+
+    const response = await this.executeSOQLQuery(
+      `SELECT FIELDS(ALL) FROM ${objectType} WHERE Id = '${recordId}' LIMIT 1`
+    );
+
+    return response.records?.[0] || null;
+  }
+
+  // Analytics REST API. Without a search term this returns the user's recently viewed reports.
+  async listReports(search) {
+    if (search) {
+      const query = new SOQLBuilder('Report')
+        .select(['Id', 'Name', 'FolderName', 'Format', 'LastRunDate'])
+        .where(contains('Name', search))
+        .orderBy('Name')
+        .limit(20)
+        .build();
+      const response = await this.executeSOQLQuery(query);
+      return (response.records || []).map(report => ({
+        id: report.Id,
+        name: report.Name,
+        folderName: report.FolderName,
+        format: report.Format,
+        lastRunDate: report.LastRunDate
+      }));
+    }
+
+    const reports = await this.request('get', `/services/data/${this.apiVersion}/analytics/reports`, {}, 'List reports');
+    return reports.map(report => ({ id: report.id, name: report.name }));
+  }
+
+  async describeReport(reportId) {
+    this.assertReportId(reportId);
+    return this.request('get', `/services/data/${this.apiVersion}/analytics/reports/${reportId}/describe`, {}, 'Describe report');
+  }
+
+  // Runs synchronously. reportFilters (and reportBooleanFilter) replace the saved filters for this run only.
+  async runReport(reportId, { reportFilters, reportBooleanFilter, includeDetails = false } = {}) {
+    this.assertReportId(reportId);
+    const path = `/services/data/${this.apiVersion}/analytics/reports/${reportId}`;
+    const params = { includeDetails };
+
+    if (reportFilters) {
+      const reportMetadata = { reportFilters };
+      if (reportBooleanFilter) {
+        reportMetadata.reportBooleanFilter = reportBooleanFilter;
       }
-      
-      // Check for session expired errors
-      const errorData = error.response?.data;
-      if (Array.isArray(errorData) && errorData[0]?.errorCode === 'INVALID_SESSION_ID') {
-        throw new Error('SALESFORCE_SESSION_EXPIRED');
+      return this.request('post', path, { params, data: { reportMetadata } }, 'Run report');
+    }
+    return this.request('get', path, { params }, 'Run report');
+  }
+
+  assertReportId(reportId) {
+    if (!isRecordId(reportId) || !reportId.startsWith('00O')) {
+      throw new Error(`Invalid report ID: ${reportId}`);
+    }
+  }
+
+  // Chatter (Connect REST API): newest feed items on a record, with their comments
+  async getRecordFeed(recordId, { pageSize = 10 } = {}) {
+    if (!isRecordId(recordId)) {
+      throw new Error(`Invalid record ID: ${recordId}`);
+    }
+
+    const data = await this.request(
+      'get',
+      `/services/data/${this.apiVersion}/chatter/feeds/record/${recordId}/feed-elements`,
+      { params: { pageSize } },
+      'Read Chatter feed'
+    );
+
+    return (data.elements || []).map(element => ({
+      id: element.id,
+      author: element.actor?.displayName || 'Unknown',
+      createdDate: element.createdDate,
+      text: element.body?.text || element.header?.text || '',
+      comments: (element.capabilities?.comments?.page?.items || []).map(comment => ({
+        author: comment.user?.displayName || 'Unknown',
+        createdDate: comment.createdDate,
+        text: comment.body?.text || ''
+      }))
+    }));
+  }
+
+  // messageSegments: [{ type: 'Text', text }, { type: 'Mention', id: '005...' }]
+  async postFeedItem(recordId, messageSegments) {
+    if (!isRecordId(recordId)) {
+      throw new Error(`Invalid record ID: ${recordId}`);
+    }
+
+    return this.request('post', `/services/data/${this.apiVersion}/chatter/feed-elements`, {
+      data: {
+        feedElementType: 'FeedItem',
+        subjectId: recordId,
+        body: { messageSegments }
       }
-      
-      throw new Error(`SOSL query failed: ${error.response?.data?.message || error.message}`);
+    }, 'Post to Chatter');
+  }
+
+  async findUserIdByEmail(email) {
+    const response = await this.executeSOQLQuery(
+      new SOQLBuilder('User')
+        .where(condition('Email', '=', email), condition('IsActive', '=', true))
+        .limit(1)
+        .build()
+    );
+    return response.records?.[0]?.Id || null;
+  }
+
+  async createRecord(objectType, fields) {
+    if (!isIdentifier(objectType)) {
+      throw new Error(`Invalid object type: ${objectType}`);
+    }
+
+    return this.request('post', `/services/data/${this.apiVersion}/sobjects/${objectType}`, { data: fields }, `Create ${objectType}`);
+  }
+
+  // PATCH returns 204 No Content on success
+  async updateRecord(objectType, recordId, fields) {
+    if (!isIdentifier(objectType)) {
+      throw new Error(`Invalid object type: ${objectType}`);
     }
+    if (!isRecordId(recordId)) {
+      throw new Error(`Invalid record ID: ${recordId}`);
+    }
+
+    await this.request('patch', `/services/data/${this.apiVersion}/sobjects/${objectType}/${recordId}`, { data: fields }, `Update ${objectType}`);
+    return { id: recordId, success: true };
+  }
+
+  async createCase(fields) {
+    return this.createRecord('Case', fields);
+  }
+
+  async updateCaseStatus(caseId, status) {
+    return this.updateRecord('Case', caseId, { Status: status });
+  }
+
+  async addCaseComment(caseId, commentBody, isPublished = false) {
+    return this.createRecord('CaseComment', {
+      ParentId: caseId,
+      CommentBody: commentBody,
+      IsPublished: isPublished
+    });
   }
 
   // Removed duplicate searchSupportTickets() and searchWithSOQL() methods
@@ -140,14 +543,50 @@ class SalesforceService {
     };
   }
 
+  isTokenExpiring() {
+    const expiresAt = this.team.salesforce_token_expires_at;
+    if (!expiresAt || !this.team.salesforce_refresh_token) {
+      return false;
+    }
+    return new Date(expiresAt).getTime() - Date.now() < TOKEN_REFRESH_MARGIN;
+  }
+
+  // Concurrent callers for the same team share one refresh
   async refreshAccessToken() {
+    const key = this.team.id || this.instanceUrl;
+    if (!refreshesInFlight.has(key)) {
+      refreshesInFlight.set(key, this.performTokenRefresh().finally(() => refreshesInFlight.delete(key)));
+    }
+
+    const tokens = await refreshesInFlight.get(key);
+    if (!tokens) {
+      return false;
+    }
+
+    // Update the team object too, so other services built from it see the new token
+    this.team.salesforce_access_token = tokens.access_token;
+    this.team.salesforce_token_issued_at = tokens.issued_at;
+    this.team.salesforce_token_expires_at = tokens.expires_at;
+    if (tokens.refresh_token) {
+      this.team.salesforce_refresh_token = tokens.refresh_token;
+    }
+    if (tokens.instance_url) {
+      this.team.salesforce_instance_url = tokens.instance_url;
+    }
+    this.accessToken = this.team.salesforce_access_token;
+    this.instanceUrl = this.team.salesforce_instance_url;
+    return true;
+  }
+
+  // Returns the new tokens (already saved to the database), or null if the refresh failed
+  async performTokenRefresh() {
     if (!this.team.salesforce_refresh_token) {
       console.error('No refresh token available');
-      return false;
+      return null;
     }
 
     try {
-      const response = await axios.post('https://login.salesforce.com/services/oauth2/token', null, {
+      const response = await axios.post(`${this.loginUrl}/services/oauth2/token`, null, {
         params: {
           grant_type: 'refresh_token',
           refresh_token: this.team.salesforce_refresh_token,
@@ -160,25 +599,29 @@ class SalesforceService {
       });
 
       if (response.data.access_token) {
-        // Update the access token
-        this.accessToken = response.data.access_token;
-        this.team.salesforce_access_token = response.data.access_token;
+        const { access_token, refresh_token, instance_url } = response.data;
+        const { issuedAt, expiresAt } = SalesforceService.getTokenTimestamps(response.data);
+        const tokens = {
+          access_token,
+          refresh_token,
+          instance_url,
+          issued_at: issuedAt,
+          expires_at: expiresAt
+        };
         
-        // Update in database
-        const db = require('../database');
-        await db('teams').where('id', this.team.id).update({
-          salesforce_access_token: response.data.access_token
-        });
+        // Update in database (encrypted through the Team model)
+        const Team = require('../models/Team');
+        await Team.updateSalesforceTokens(this.team.id, tokens);
 
-        console.log('✅ Salesforce token refreshed successfully');
-        return true;
+        console.log(`✅ Salesforce token refreshed successfully${refresh_token ? ' (refresh token rotated)' : ''}`);
+        return tokens;
       }
     } catch (error) {
       console.error('Failed to refresh Salesforce token:', error.response?.data || error.message);
-      return false;
+      return null;
     }
 
-    return false;
+    return null;
   }
 }
 
@@ -1,11 +1,83 @@
 const SalesforceService = require('./salesforce');
 const JiraService = require('./jiraService');
+const ZendeskService = require('./zendeskService');
+const CaseJiraLink = require('../models/CaseJiraLink');
+const { textToAdf } = require('./adfConverter');
+const { SOQLBuilder, condition, contains, and, or, dateLiteral, buildSOSLQuery, isRecordId } = require('./queryBuilder');
+
+// Tools that change Salesforce or Jira data - only run after the user approves the plan
+const WRITE_TOOLS = [
+  'create_case', 'update_case_status', 'add_case_comment', 'post_chatter',
+  'create_jira_from_case', 'add_jira_comment', 'transition_jira_issue', 'assign_jira_issue'
+];
+
+const JIRA_PROJECT_KEY = /^[A-Z][A-Z0-9_]+$/;
+// Jira rejects summaries longer than 255 characters
+const MAX_JIRA_SUMMARY_LENGTH = 255;
+
+// Analytics API filter operators, keyed by the lowercase forms the planner may use
+const REPORT_FILTER_OPERATORS = {
+  '=': 'equals',
+  '!=': 'notEqual',
+  '<': 'lessThan',
+  '>': 'greaterThan',
+  '<=': 'lessOrEqual',
+  '>=': 'greaterOrEqual',
+  'equals': 'equals',
+  'notequal': 'notEqual',
+  'lessthan': 'lessThan',
+  'greaterthan': 'greaterThan',
+  'lessorequal': 'lessOrEqual',
+  'greaterorequal': 'greaterOrEqual',
+  'contains': 'contains',
+  'notcontain': 'notContain',
+  'startswith': 'startsWith',
+  'includes': 'includes',
+  'excludes': 'excludes'
+};
+const MAX_REPORT_ROWS = 50;
+
+const AGGREGATE_METRICS = {
+  count: 'COUNT',
+  sum: 'SUM',
+  avg: 'AVG',
+  min: 'MIN',
+  max: 'MAX'
+};
+// Related lists shown by get_record_details, by parent object (child relationship names from describe)
+const RELATED_LISTS = {
+  Case: ['CaseComments', 'EmailMessages', 'Tasks'],
+  Opportunity: ['OpportunityLineItems', 'Tasks'],
+  Account: ['Cases', 'Opportunities', 'Contacts', 'Tasks'],
+  Contact: ['Cases', 'Tasks']
+};
+// Fields and sort order for each related object; anything else gets Id and Name
+const RELATED_LIST_FIELDS = {
+  CaseComment: { fields: ['Id', 'CommentBody', 'IsPublished', 'CreatedDate', 'CreatedBy.Name'], orderBy: 'CreatedDate' },
+  EmailMessage: { fields: ['Id', 'Subject', 'FromAddress', 'ToAddress', 'TextBody', 'Incoming', 'MessageDate'], orderBy: 'MessageDate' },
+  Task: { fields: ['Id', 'Subject', 'Status', 'Priority', 'ActivityDate', 'Description', 'Owner.Name', 'CreatedDate'], orderBy: 'CreatedDate' },
+  OpportunityLineItem: { fields: ['Id', 'Product2.Name', 'Quantity', 'UnitPrice', 'TotalPrice'], orderBy: 'CreatedDate' },
+  Case: { fields: ['Id', 'CaseNumber', 'Subject', 'Status', 'Priority', 'CreatedDate'], orderBy: 'CreatedDate' },
+  Opportunity: { fields: ['Id', 'Name', 'StageName', 'Amount', 'CloseDate'], orderBy: 'CloseDate' },
+  Contact: { fields: ['Id', 'Name', 'Email', 'Title'], orderBy: 'CreatedDate' }
+};
+const MAX_RELATED_RECORDS = 20;
+
+// Aggregate queries can't use queryMore, so cap the number of groups returned
+const MAX_AGGREGATE_GROUPS = 200;
 
 class ToolService {
-  constructor(team) {
+  // slackClient maps Slack users onto Salesforce and Atlassian accounts by email (Chatter and Jira mentions,
+  // Jira assignees); slackUserId is the person running the tools, used for "me" and comment attribution
+  constructor(team, { slackClient = null, slackUserId = null } = {}) {
     this.team = team;
+    this.slackClient = slackClient;
+    this.slackUserId = slackUserId;
     this.salesforceService = team ? new SalesforceService(team) : null;
-    this.jiraService = new JiraService();
+    this.jiraService = new JiraService(team);
+    this.zendeskService = new ZendeskService(team);
+    // Describe results for the objects being searched, keyed by API name
+    this.schemas = {};
   }
 
   // Define available tools for the AI to choose from
@@ -13,10 +85,13 @@ class ToolService {
     return [
       {
         name: 'search_salesforce',
-        description: 'Search Salesforce for cases, accounts, opportunities, or contacts with specific filters and criteria.',
+        description: 'Search Salesforce for cases, accounts, opportunities, contacts, leads, tasks, assets or any custom object with specific filters and criteria.',
         parameters: {
+          // Natural language request (parsed into the structured filters below when they are omitted)
+          query: 'natural language description of what to search for (e.g., "won opportunities with oil over 25k")',
+
           // Object types to search
-          objectTypes: 'array of object types to search: ["Case", "Account", "Opportunity", "Contact"] or "all" for cross-object search',
+          objectTypes: 'array of sObject API names to search, standard or custom (e.g., ["Case", "Lead", "Task", "Subscription__c"]) or "all" for Case, Account, Opportunity and Contact',
           
           // Keywords for text search
           keywords: 'array of keywords to search for (e.g., ["United Oil", "Gas", "Singapore"])',
@@ -44,6 +119,153 @@ class ToolService {
           deepAnalysis: 'true|false - whether to provide AI analysis of results'
         }
       },
+      {
+        name: 'aggregate_salesforce',
+        description: 'Get exact counts, sums, averages, minimums or maximums from Salesforce, optionally grouped (e.g., pipeline amount by stage, cases per account). Use instead of search_salesforce for "how many", totals and breakdowns.',
+        parameters: {
+          objectType: 'sObject API name to aggregate (e.g., "Opportunity", "Case")',
+          metric: 'aggregate: "count", "sum", "avg", "min", "max"',
+          field: 'field to aggregate for sum/avg/min/max (e.g., "Amount"); not needed for count',
+          groupBy: 'array of up to two fields to group by (e.g., ["StageName"] or ["Account.Name"])',
+          timeRange: 'time filter: "today", "yesterday", "this_week", "this_month", "this_quarter", "last_quarter", "this_year", "last_30_days", "last_90_days", "last_6_months", "all_time"',
+          dateField: 'date field the time filter applies to (default "CreatedDate"; e.g., "CloseDate" for pipeline)',
+          opportunityStage: 'opportunity stage filter: "open", "closed", "won", "lost", "in_flight"',
+          caseStatus: 'case status filter: "open", "closed", "escalated"',
+          casePriority: 'case priority filter: "low", "medium", "high", "critical"',
+          accountType: 'account type filter: "customer", "prospect", "partner", "internal"'
+        }
+      },
+      {
+        name: 'search_knowledge',
+        description: 'Search Salesforce Knowledge for articles that help resolve an issue (e.g., troubleshooting guides for a case).',
+        parameters: {
+          query: 'keywords describing the issue (e.g., "password reset email not received")',
+          language: 'article language code (default "en_US")',
+          publishStatus: 'article status: "online", "draft", "archived" (default "online")',
+          limit: 'number of articles to return (default 5, maximum 20)'
+        }
+      },
+      {
+        name: 'get_record_details',
+        description: 'Get every field of one Salesforce record plus its related lists (case comments, emails, activities, opportunity products) - the full history, not just the subject line.',
+        parameters: {
+          recordId: 'record ID (e.g., "500...", "006...") or a case number (e.g., "00001026")',
+          objectType: 'optional sObject API name; worked out from the record ID when omitted'
+        }
+      },
+      {
+        name: 'run_report',
+        description: 'Run a saved Salesforce report and return its totals, groupings and rows, optionally overriding filters. Without a report name or ID it lists recently viewed reports.',
+        parameters: {
+          reportName: 'name or part of the name of the report to run (e.g., "Weekly Escalations")',
+          reportId: 'optional report ID (00O...) when known',
+          filters: 'array of filter overrides, each "column operator value" (e.g., ["Region equals APAC", "Priority != Low"]); column can be a label or API name',
+          includeDetails: 'true|false - whether to return detail rows as well as summaries (default false)'
+        }
+      },
+      {
+        name: 'search_jira',
+        description: 'Search Jira issues (bugs, engineering tickets) by text, project, issue type, status, assignee, label or date.',
+        parameters: {
+          query: 'text to search for in issue summaries, descriptions and comments (e.g., "checkout timeout")',
+          projects: 'array of Jira project keys (e.g., ["ENG", "OPS"])',
+          issueTypes: 'array of issue types (e.g., ["Bug", "Task"])',
+          statusCategory: 'status filter: "open" (anything not done), "todo", "in_progress", "done"',
+          assignee: '"me", "unassigned", or a person\'s name or email',
+          labels: 'array of labels (e.g., ["customer-reported"])',
+          timeRange: 'time filter: "today", "yesterday", "this_week", "last_week", "this_month", "last_7_days", "last_30_days", "last_90_days", "last_6_months", "all_time"',
+          dateField: 'date the time filter applies to: "created" (default) or "updated"',
+          startAt: 'number of issues to skip, for the next page of results (default 0)',
+          maxResults: 'number of issues to return (default 10, maximum 50)'
+        }
+      },
+      {
+        name: 'search_zendesk',
+        description: 'Search unsolved Zendesk support tickets by text in their subject and description.',
+        parameters: {
+          query: 'text to search for (e.g., "refund not received")',
+          limit: 'number of tickets to return (default 5, maximum 20)'
+        }
+      },
+      {
+        name: 'create_jira_from_case',
+        description: 'Escalate a Salesforce case to Jira: create an issue from the case subject, description and account, and link the two (write action - requires plan approval).',
+        parameters: {
+          caseId: 'case record ID (500...) or case number (e.g., "00001026")',
+          projectKey: 'Jira project key (e.g., "ENG"); defaults to the workspace\'s default project',
+          issueType: 'Jira issue type (default "Bug")',
+          summary: 'optional issue summary; defaults to the case subject'
+        }
+      },
+      {
+        name: 'add_jira_comment',
+        description: 'Add a comment to a Jira issue (write action - requires plan approval).',
+        parameters: {
+          issueKey: 'Jira issue key (e.g., "ENG-42")',
+          comment: 'comment text; Slack mentions like <@U123ABC> are turned into Jira @mentions'
+        }
+      },
+      {
+        name: 'transition_jira_issue',
+        description: 'Move a Jira issue to another status through its workflow, e.g. to "In Progress" or "Done" (write action - requires plan approval).',
+        parameters: {
+          issueKey: 'Jira issue key (e.g., "ENG-42")',
+          status: 'target status or transition name (e.g., "In Progress", "Done")'
+        }
+      },
+      {
+        name: 'assign_jira_issue',
+        description: 'Change the assignee of a Jira issue (write action - requires plan approval).',
+        parameters: {
+          issueKey: 'Jira issue key (e.g., "ENG-42")',
+          assignee: '"me", "unassigned", an email address, or a Slack mention like <@U123ABC>'
+        }
+      },
+      {
+        name: 'create_case',
+        description: 'Create a new Salesforce support case (write action - requires plan approval).',
+        parameters: {
+          subject: 'case subject line',
+          description: 'detailed description of the issue (e.g., summary of the Slack conversation)',
+          priority: 'case priority: "Low", "Medium", "High"',
+          origin: 'optional case origin picklist value (e.g., "Web", "Phone", "Email")',
+          accountName: 'optional name of the customer account to link the case to'
+        }
+      },
+      {
+        name: 'update_case_status',
+        description: 'Change the status of an existing Salesforce case (write action - requires plan approval).',
+        parameters: {
+          caseId: 'case record ID (500...) or case number (e.g., "00001026")',
+          status: 'new case status (e.g., "Working", "Escalated", "Closed")'
+        }
+      },
+      {
+        name: 'add_case_comment',
+        description: 'Add a comment to an existing Salesforce case (write action - requires plan approval).',
+        parameters: {
+          caseId: 'case record ID (500...) or case number (e.g., "00001026")',
+          comment: 'comment text to add to the case',
+          isPublic: 'true|false - whether the comment is visible to the customer (default false)'
+        }
+      },
+      {
+        name: 'get_chatter_feed',
+        description: 'Read the Chatter discussion on a Salesforce record (case, account, opportunity), newest first.',
+        parameters: {
+          recordId: 'record ID (e.g., "500...") or a case number (e.g., "00001026")',
+          limit: 'number of feed items to return (default 10, maximum 50)'
+        }
+      },
+      {
+        name: 'post_chatter',
+        description: 'Post a message to the Chatter feed of a Salesforce record, e.g. a summary of a Slack discussion (write action - requires plan approval).',
+        parameters: {
+          recordId: 'record ID (e.g., "500...") or a case number (e.g., "00001026")',
+          message: 'text to post; Slack mentions like <@U123ABC> are turned into Chatter @mentions',
+          mentions: 'array of email addresses of Salesforce users to @mention (e.g., ["ana@example.com"])'
+        }
+      },
       {
         name: 'ask_clarification',
         description: 'Ask the user for more specific information when the request is unclear or ambiguous',
@@ -63,12 +285,14 @@ class ToolService {
 
   async analyzeRequestAndSelectTools(userRequest) {
     const tools = this.getAvailableTools();
+    const picklistContext = await this.getPicklistContext();
     
     const prompt = `
 User request: "${userRequest}"
 
 Available tools:
 ${tools.map(t => `- ${t.name}: ${t.description}`).join('\n')}
+${picklistContext}
 
 Analyze the user request and determine which tool(s) to use. Return JSON:
 
@@ -90,11 +314,37 @@ Examples:
 - "what's going on" → ask_clarification tool asking "What specifically would you like to know about? For example: recent cases, opportunities, account status, etc."
 - "United Oil & Gas" → search_salesforce tool with query="United Oil Gas accounts cases opportunities", deepAnalysis="true"
 - "won opportunities last month" → search_salesforce tool with query="won opportunities last 30 days", deepAnalysis="true"
+- "any articles on resetting SSO passwords?" → search_knowledge tool with query="reset SSO password"
+- "show me the history of case 00001026" → get_record_details tool with recordId="00001026"
+- "pipeline amount by stage this quarter" → aggregate_salesforce tool with objectType="Opportunity", metric="sum", field="Amount", groupBy=["StageName"], timeRange="this_quarter", dateField="CloseDate", opportunityStage="open"
+- "cases per account last 90 days" → aggregate_salesforce tool with objectType="Case", metric="count", groupBy=["Account.Name"], timeRange="last_90_days"
+- "how many open high priority cases" → aggregate_salesforce tool with objectType="Case", metric="count", caseStatus="open", casePriority="high"
+- "run the weekly escalations report for APAC" → run_report tool with reportName="Weekly Escalations", filters=["Region equals APAC"]
+- "what reports do we have on pipeline" → run_report tool with reportName="pipeline"
+- "open bugs in ENG about checkout" → search_jira tool with query="checkout", projects=["ENG"], issueTypes=["Bug"], statusCategory="open"
+- "jira tickets assigned to me updated this week" → search_jira tool with assignee="me", timeRange="this_week", dateField="updated"
+- "any zendesk tickets about refunds?" → search_zendesk tool with query="refund"
+- "escalate case 00001026 to engineering" → create_jira_from_case tool with caseId="00001026"
+- "file an ENG bug for case 00001026" → create_jira_from_case tool with caseId="00001026", projectKey="ENG", issueType="Bug"
+- "tell ENG-42 that the customer confirmed the fix, cc <@U123ABC>" → add_jira_comment tool with issueKey="ENG-42", comment="The customer confirmed the fix. cc <@U123ABC>"
+- "move ENG-42 to in progress and assign it to me" → transition_jira_issue tool with issueKey="ENG-42", status="In Progress", then assign_jira_issue tool with issueKey="ENG-42", assignee="me"
+- "log a case for Acme: checkout page times out" → create_case tool with subject="Checkout page times out", accountName="Acme", priority="Medium"
+- "close case 00001026" → update_case_status tool with caseId="00001026", status="Closed"
+- "what's the chatter on case 00001026" → get_chatter_feed tool with recordId="00001026"
+- "post to the chatter on 00001026 that the fix is live and ask <@U123ABC> to confirm" → post_chatter tool with recordId="00001026", message="The fix is live. <@U123ABC> can you confirm with the customer?"
+- "note on 00001026 that we shipped a fix" → add_case_comment tool with caseId="00001026", comment="We shipped a fix"
 
 IMPORTANT: 
 - Use search_salesforce for any data lookup from Salesforce
+- Use aggregate_salesforce for counts, totals, averages and "by"/"per" breakdowns - it returns exact numbers rather than capped samples
+- Use run_report when the user names a saved report or dashboard report
+- Use search_jira for Jira issues, bugs and engineering tickets
+- Use search_zendesk for Zendesk support tickets
 - Use ask_clarification when the request is vague or needs more context
 - Use direct_response for greetings, help, explanations that don't need data
+- Use create_case, update_case_status, add_case_comment or post_chatter only when the user explicitly asks to change Salesforce data
+- Use create_jira_from_case only when the user asks to escalate a case or file a Jira issue for it
+- Use add_jira_comment, transition_jira_issue or assign_jira_issue only when the user explicitly asks to change a Jira issue
 - Always include deepAnalysis="true" when user wants insights or understanding
 
 Return ONLY JSON, no markdown.
@@ -207,6 +457,36 @@ Return ONLY JSON, no markdown.
     switch (toolName) {
       case 'search_salesforce':
         return await this.searchSalesforce(parameters);
+      case 'aggregate_salesforce':
+        return await this.aggregateSalesforce(parameters);
+      case 'run_report':
+        return await this.runReport(parameters);
+      case 'get_record_details':
+        return await this.getRecordDetails(parameters);
+      case 'search_knowledge':
+        return await this.searchKnowledge(parameters);
+      case 'get_chatter_feed':
+        return await this.getChatterFeed(parameters);
+      case 'post_chatter':
+        return await this.postChatter(parameters);
+      case 'search_jira':
+        return await this.searchJira(parameters);
+      case 'search_zendesk':
+        return await this.searchZendesk(parameters);
+      case 'create_jira_from_case':
+        return await this.createJiraFromCase(parameters);
+      case 'add_jira_comment':
+        return await this.addJiraComment(parameters);
+      case 'transition_jira_issue':
+        return await this.transitionJiraIssue(parameters);
+      case 'assign_jira_issue':
+        return await this.assignJiraIssue(parameters);
+      case 'create_case':
+        return await this.createCase(parameters);
+      case 'update_case_status':
+        return await this.updateCaseStatus(parameters);
+      case 'add_case_comment':
+        return await this.addCaseComment(parameters);
       case 'ask_clarification':
         return await this.askClarification(parameters);
       case 'direct_response':
@@ -237,12 +517,15 @@ Return ONLY JSON, no markdown.
       const searchStrategy = await this.hasSearchableKeywordsLLM(parsedParams, params.query || '');
       console.log('🧠 LLM search strategy:', searchStrategy);
       
-      // Override object types with LLM decision
+      // Override object types with LLM decision, keeping only objects this org can query
       const finalParams = { 
         ...parsedParams, 
-        objectTypes: searchStrategy.objectTypes 
+        objectTypes: await this.resolveObjectTypes(searchStrategy.objectTypes || parsedParams.objectTypes)
       };
       
+      // Only query fields and filters that exist in this org
+      await this.loadSchemas(finalParams.objectTypes);
+      
       // Initialize query tracking
       this.lastExecutedQueries = [];
       
@@ -277,6 +560,7 @@ Return ONLY JSON, no markdown.
         deepAnalysis: analysis,
         searchStrategy: strategy,
         parameters: params,
+        instanceUrl: this.salesforceService.instanceUrl,
         executedQueries: this.lastExecutedQueries || []
       };
 
@@ -292,6 +576,7 @@ Return ONLY JSON, no markdown.
 
   // Use LLM to determine if query has searchable keywords and extract short ones
   async hasSearchableKeywordsLLM(params, originalQuery) {
+    const customObjects = await this.getCustomObjectNames();
     const prompt = `
 Analyze this search query and determine the search strategy:
 
@@ -299,7 +584,7 @@ Original Query: "${originalQuery}"
 Parsed Keywords: ${JSON.stringify(params.keywords || [], null, 2)}
 
 Determine:
-1. Which Salesforce objects to search: Case, Account, Opportunity, Contact
+1. Which Salesforce objects to search (API names): Case, Account, Opportunity, Contact, Lead, Task, Asset, or any of this org's custom objects: ${customObjects.join(', ') || 'none'}
 2. Are there any actual searchable keywords (company names, product names, people names, specific terms)?
 3. Extract the SHORTEST, most essential keywords for SOSL search (max 2-3 words total)
 
@@ -308,6 +593,10 @@ Context clues for object selection:
 - "opportunities", "deals", "won", "lost", "closed" → Opportunity object ONLY  
 - "accounts", "companies" → Account object ONLY
 - "contacts", "people" → Contact object ONLY
+- "leads", "prospects" → Lead object ONLY
+- "tasks", "activities", "follow-ups" → Task object ONLY
+- "assets", "installed products" → Asset object ONLY
+- A custom object mentioned by label (e.g., "subscriptions") → its API name (e.g., Subscription__c) ONLY
 - Company names WITHOUT object type specified (like "Acme Corp data") → Search all objects
 - Generic searches without specific object type → Search all objects
 
@@ -329,7 +618,7 @@ Examples:
 
 Return JSON:
 {
-  "objectTypes": ["Case"] or ["Opportunity"] or ["Account"] or ["Contact"] or ["Case", "Account", "Opportunity", "Contact"],
+  "objectTypes": ["Case"] or ["Lead"] or ["Subscription__c"] or ["Case", "Account", "Opportunity", "Contact"] (API names),
   "hasKeywords": boolean,
   "shortKeywords": ["word1", "word2"], 
   "reasoning": "why these objects and keywords were selected"
@@ -353,88 +642,108 @@ Return JSON:
     }
   }
 
-  // New unified SOSL → SOQL approach  
+  // New unified SOSL → SOQL approach, batched through the composite API:
+  // one call for every SOSL subrequest, one call for every SOQL subrequest
   async searchSOSLThenSOQL(params, shortKeywords) {
-    const results = { accounts: [], contacts: [], cases: [], opportunities: [] };
     const objectTypes = this.getObjectTypesToSearch(params.objectTypes);
+    const results = this.createEmptyResults(objectTypes);
+    const keywords = this.sanitizeKeywords(shortKeywords);
     
-    console.log(`🚀 Step 1: SOSL Discovery with keywords: [${shortKeywords.join(', ')}]`);
+    console.log(`🚀 Step 1: SOSL Discovery with keywords: [${keywords.join(', ')}]`);
     
-    for (const objectType of objectTypes) {
-      try {
-        // Step 1: SOSL to find records with keywords (search each keyword individually)
-        let allFoundIds = new Set();
-        
-        for (const keyword of this.sanitizeKeywords(shortKeywords)) {
-          const soslQuery = `FIND {${keyword}} RETURNING ${objectType}(Id)`;
-          
-          console.log(`  🔍 SOSL for ${objectType} with keyword "${keyword}": ${soslQuery}`);
-          this.lastExecutedQueries.push({ type: 'SOSL', query: soslQuery });
-          
-          const soslResult = await this.salesforceService.executeSOSLQuery(soslQuery);
-          
-          const foundIds = soslResult.searchRecords ? soslResult.searchRecords.map(r => r.Id) : [];
-          console.log(`  📊 SOSL found ${foundIds.length} ${objectType} records for "${keyword}"`);
-          
-          // Add to combined results
-          foundIds.forEach(id => allFoundIds.add(id));
-        }
-        
-        const combinedIds = Array.from(allFoundIds);
-        console.log(`  🎯 Combined SOSL results: ${combinedIds.length} unique ${objectType} records`);
-        
-        if (combinedIds.length > 0) {
-          // Step 2: SOQL to filter and enrich with full data
-          console.log(`  🔍 Step 2: SOQL filtering for ${objectType}...`);
-          const filteredRecords = await this.filterRecordsWithSOQL(objectType, combinedIds, params);
-          results[`${objectType.toLowerCase()}s`] = filteredRecords;
-          console.log(`  ✅ Final ${objectType} results: ${filteredRecords.length} records`);
-        } else if (objectType === 'Case') {
-          // Special fallback for Cases: search by Account relationship
-          console.log(`  🔄 No Case IDs from SOSL, trying Account-based Case search...`);
-          
-          // If we found accounts with the keywords, search for cases linked to those accounts
-          if (results.accounts && results.accounts.length > 0) {
-            const accountIds = results.accounts.map(acc => acc.Id);
-            const accountCaseQuery = `SELECT Id, CaseNumber, Subject, Status, CreatedDate, Account.Name, Account.AnnualRevenue, Contact.Name FROM Case WHERE AccountId IN ('${accountIds.join("','")}') AND CreatedDate = LAST_N_DAYS:90 ORDER BY CreatedDate DESC LIMIT 1000`;
-            
-            this.lastExecutedQueries.push({ type: 'SOQL', query: accountCaseQuery });
-            console.log(`  🔍 Searching Cases linked to found Accounts: ${accountCaseQuery}`);
-            
-            try {
-              const response = await this.salesforceService.executeSOQLQuery(accountCaseQuery);
-              results.cases = response.records || [];
-              console.log(`  ✅ Account-linked Cases: ${response.records?.length || 0} records`);
-            } catch (error) {
-              console.error(`❌ Account-linked Case search failed:`, error.message);
-            }
-          } else {
-            // Try searching by Account name directly in SOQL
-            const accountNameQuery = this.buildAccountNameCaseQuery(params);
-            if (accountNameQuery) {
-              this.lastExecutedQueries.push({ type: 'SOQL', query: accountNameQuery });
-              try {
-                const response = await this.salesforceService.executeSOQLQuery(accountNameQuery);
-                results.cases = response.records || [];
-                console.log(`  ✅ Account name Case search: ${response.records?.length || 0} records`);
-              } catch (error) {
-                console.error(`❌ Account name Case search failed:`, error.message);
-              }
-            }
-          }
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error in SOSL→SOQL for ${objectType}:`, error.message);
+    // Step 1: SOSL to find records with keywords (each keyword individually, per object type)
+    const soslRequests = [];
+    objectTypes.forEach(objectType => {
+      keywords.forEach(keyword => {
+        const soslQuery = buildSOSLQuery(keyword, [{ objectType }]);
+        console.log(`  🔍 SOSL for ${objectType} with keyword "${keyword}": ${soslQuery}`);
+        this.lastExecutedQueries.push({ type: 'SOSL', query: soslQuery });
+        soslRequests.push({ objectType, keyword, query: soslQuery });
+      });
+    });
+    
+    const soslResults = soslRequests.length > 0
+      ? await this.salesforceService.executeSOSLBatch(soslRequests.map(request => request.query))
+      : [];
+    
+    const foundIds = {};
+    const failedObjectTypes = new Set();
+    objectTypes.forEach(objectType => { foundIds[objectType] = new Set(); });
+    
+    soslResults.forEach((result, index) => {
+      const { objectType, keyword } = soslRequests[index];
+      if (!result.success) {
+        console.error(`❌ SOSL failed for ${objectType} with keyword "${keyword}":`, result.error);
+        failedObjectTypes.add(objectType);
+        return;
+      }
+      const ids = result.data?.searchRecords ? result.data.searchRecords.map(r => r.Id) : [];
+      console.log(`  📊 SOSL found ${ids.length} ${objectType} records for "${keyword}"`);
+      ids.forEach(id => foundIds[objectType].add(id));
+    });
+    
+    // Step 2: SOQL to filter and enrich with full data
+    const soqlRequests = [];
+    objectTypes.forEach(objectType => {
+      const combinedIds = Array.from(foundIds[objectType]);
+      console.log(`  🎯 Combined SOSL results: ${combinedIds.length} unique ${objectType} records`);
+      
+      if (failedObjectTypes.has(objectType)) {
         // If SOSL fails, try direct SOQL for this object type
+        console.log(`  🔄 SOSL failed, trying direct SOQL for ${objectType}...`);
+        soqlRequests.push({ objectType, query: this.buildSOQLQuery(objectType, params) });
+      } else if (combinedIds.length > 0) {
+        console.log(`  🔍 Step 2: SOQL filtering for ${objectType}...`);
+        soqlRequests.push({ objectType, query: this.buildSOQLQuery(objectType, params, combinedIds) });
+      }
+    });
+    
+    if (soqlRequests.length > 0) {
+      soqlRequests.forEach(request => this.lastExecutedQueries.push({ type: 'SOQL', query: request.query }));
+      const soqlResults = await this.salesforceService.executeSOQLBatch(soqlRequests.map(request => request.query));
+      
+      soqlResults.forEach((result, index) => {
+        const { objectType } = soqlRequests[index];
+        if (!result.success) {
+          console.error(`❌ SOQL failed for ${objectType}:`, result.error);
+          return;
+        }
+        results[objectType] = result.data.records || [];
+        console.log(`  ✅ Final ${objectType} results: ${results[objectType].length} records`);
+      });
+    }
+    
+    // Special fallback for Cases: search by Account relationship
+    if (objectTypes.includes('Case') && foundIds.Case.size === 0 && !failedObjectTypes.has('Case')) {
+      console.log(`  🔄 No Case IDs from SOSL, trying Account-based Case search...`);
+      
+      let fallbackQuery = null;
+      if (results.Account && results.Account.length > 0) {
+        // If we found accounts with the keywords, search for cases linked to those accounts
+        const accountIds = results.Account.map(acc => acc.Id);
+        fallbackQuery = new SOQLBuilder('Case', { isFieldAllowed: field => this.fieldExists('Case', field) })
+          .select(['Id', 'CaseNumber', 'Subject', 'Status', 'CreatedDate', 'Account.Name', 'Account.AnnualRevenue', 'Contact.Name'])
+          .where(
+            condition('AccountId', 'IN', accountIds),
+            condition('CreatedDate', '=', dateLiteral('LAST_N_DAYS', 90))
+          )
+          .orderBy('CreatedDate', 'DESC')
+          .limit(1000)
+          .build();
+        console.log(`  🔍 Searching Cases linked to found Accounts: ${fallbackQuery}`);
+      } else {
+        // Try searching by Account name directly in SOQL
+        fallbackQuery = this.buildAccountNameCaseQuery(params);
+      }
+      
+      if (fallbackQuery) {
+        this.lastExecutedQueries.push({ type: 'SOQL', query: fallbackQuery });
         try {
-          console.log(`  🔄 SOSL failed, trying direct SOQL for ${objectType}...`);
-          const soqlQuery = this.buildSOQLQuery(objectType, params);
-          this.lastExecutedQueries.push({ type: 'SOQL', query: soqlQuery });
-          const response = await this.salesforceService.executeSOQLQuery(soqlQuery);
-          results[`${objectType.toLowerCase()}s`] = response.records || [];
-        } catch (soqlError) {
-          console.error(`❌ Direct SOQL also failed for ${objectType}:`, soqlError.message);
+          const response = await this.salesforceService.executeSOQLQuery(fallbackQuery);
+          results.Case = response.records || [];
+          console.log(`  ✅ Account-based Case search: ${response.records?.length || 0} records`);
+        } catch (error) {
+          console.error(`❌ Account-based Case search failed:`, error.message);
         }
       }
     }
@@ -444,10 +753,9 @@ Return JSON:
 
   // Strategy 1: SOSL for discovery + SOQL for filtering
   async searchWithSOSLAndSOQL(params) {
-    const results = { accounts: [], contacts: [], cases: [], opportunities: [] };
-    
     // Determine which objects to search
     const objectTypes = this.getObjectTypesToSearch(params.objectTypes);
+    const results = this.createEmptyResults(objectTypes);
     
     for (const objectType of objectTypes) {
       try {
@@ -457,7 +765,7 @@ Return JSON:
         if (soslIds.length > 0) {
           // Step 2: SOQL filtering with structured criteria
           const filteredRecords = await this.filterRecordsWithSOQL(objectType, soslIds, params);
-          results[`${objectType.toLowerCase()}s`] = filteredRecords;
+          results[objectType] = filteredRecords;
       }
     } catch (error) {
         console.error(`Error searching ${objectType}:`, error.message);
@@ -467,41 +775,45 @@ Return JSON:
     return results;
   }
 
-  // Strategy 2: Pure SOQL with structured filters
+  // Strategy 2: Pure SOQL with structured filters (all object types in one composite batch)
   async searchWithSOQLOnly(params) {
-    const results = { accounts: [], contacts: [], cases: [], opportunities: [] };
     const objectTypes = this.getObjectTypesToSearch(params.objectTypes);
+    const results = this.createEmptyResults(objectTypes);
     
     console.log(`🚀 Executing SOQL-only search for objects: ${objectTypes.join(', ')}`);
     
-    for (const objectType of objectTypes) {
-      try {
-        console.log(`\n📊 Searching ${objectType}...`);
-        const soqlQuery = this.buildSOQLQuery(objectType, params);
-        
-        console.log(`  ⚡ Executing SOQL query...`);
-        const startTime = Date.now();
-        const response = await this.salesforceService.executeSOQLQuery(soqlQuery);
-        const endTime = Date.now();
-        
-        console.log(`  ✅ Query executed in ${endTime - startTime}ms`);
-        console.log(`  📊 Records returned: ${response.records ? response.records.length : 0}`);
-        
-        results[`${objectType.toLowerCase()}s`] = response.records || [];
-        
-        if (response.records && response.records.length > 0) {
-          console.log(`  🎯 Sample results:`);
-          response.records.slice(0, 2).forEach((record, i) => {
-            const name = record.Name || record.CaseNumber || record.Subject || 'N/A';
-            console.log(`    ${i + 1}. ${name}`);
-          });
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error searching ${objectType}:`, error.message);
-        console.error(`  Stack:`, error.stack);
+    const queries = objectTypes.map(objectType => {
+      console.log(`\n📊 Searching ${objectType}...`);
+      const soqlQuery = this.buildSOQLQuery(objectType, params);
+      this.lastExecutedQueries.push({ type: 'SOQL', query: soqlQuery });
+      return soqlQuery;
+    });
+    
+    console.log(`  ⚡ Executing ${queries.length} SOQL queries in one batch...`);
+    const startTime = Date.now();
+    const batchResults = await this.salesforceService.executeSOQLBatch(queries);
+    console.log(`  ✅ Batch executed in ${Date.now() - startTime}ms`);
+    
+    batchResults.forEach((result, index) => {
+      const objectType = objectTypes[index];
+      
+      if (!result.success) {
+        console.error(`❌ Error searching ${objectType}:`, result.error);
+        return;
       }
-    }
+      
+      const records = result.data.records || [];
+      console.log(`  📊 ${objectType} records returned: ${records.length}`);
+      results[objectType] = records;
+      
+      if (records.length > 0) {
+        console.log(`  🎯 Sample results:`);
+        records.slice(0, 2).forEach((record, i) => {
+          const name = record.Name || record.CaseNumber || record.Subject || 'N/A';
+          console.log(`    ${i + 1}. ${name}`);
+        });
+      }
+    });
     
     return results;
   }
@@ -509,24 +821,26 @@ Return JSON:
   // Strategy 3: Pure SOSL for cross-object keyword search
   async searchWithSOSLOnly(params) {
     const keywordString = this.sanitizeKeywords(params.keywords).join(' ');
-    const soslQuery = `FIND {${keywordString}} RETURNING Account(Id, Name, Industry), Contact(Id, Name, Email), Case(Id, CaseNumber, Subject, Status), Opportunity(Id, Name, StageName, Amount)`;
     
     try {
+      const soslQuery = buildSOSLQuery(keywordString, [
+        { objectType: 'Account', fields: ['Id', 'Name', 'Industry'] },
+        { objectType: 'Contact', fields: ['Id', 'Name', 'Email'] },
+        { objectType: 'Case', fields: ['Id', 'CaseNumber', 'Subject', 'Status'] },
+        { objectType: 'Opportunity', fields: ['Id', 'Name', 'StageName', 'Amount'] }
+      ]);
       const soslResult = await this.salesforceService.executeSOSLQuery(soslQuery);
       
-      if (soslResult.searchRecords) {
-      return {
-          accounts: soslResult.searchRecords.filter(r => r.attributes.type === 'Account'),
-          contacts: soslResult.searchRecords.filter(r => r.attributes.type === 'Contact'),
-          cases: soslResult.searchRecords.filter(r => r.attributes.type === 'Case'),
-          opportunities: soslResult.searchRecords.filter(r => r.attributes.type === 'Opportunity')
-        };
-      }
+      const results = this.createEmptyResults(['Account', 'Contact', 'Case', 'Opportunity']);
+      (soslResult.searchRecords || []).forEach(record => {
+        results[record.attributes.type].push(record);
+      });
+      return results;
     } catch (error) {
       console.error('SOSL search failed:', error.message);
     }
     
-    return { accounts: [], contacts: [], cases: [], opportunities: [] };
+    return this.createEmptyResults(['Account', 'Contact', 'Case', 'Opportunity']);
   }
 
   // Strategy 4: Default fallback
@@ -534,7 +848,11 @@ Return JSON:
     console.log('🔄 Using default fallback strategy - searching recent cases');
     
     // Default to searching cases with basic criteria
-    const defaultQuery = `SELECT Id, CaseNumber, Subject, Status, CreatedDate, Account.Name, Account.AnnualRevenue FROM Case ORDER BY CreatedDate DESC LIMIT 1000`;
+    const defaultQuery = new SOQLBuilder('Case')
+      .select(['Id', 'CaseNumber', 'Subject', 'Status', 'CreatedDate', 'Account.Name', 'Account.AnnualRevenue'])
+      .orderBy('CreatedDate', 'DESC')
+      .limit(1000)
+      .build();
     
     console.log(`  🔍 Default SOQL query: ${defaultQuery}`);
     
@@ -554,11 +872,11 @@ Return JSON:
         });
       }
       
-      return { cases: response.records || [], accounts: [], contacts: [], opportunities: [] };
+      return { Case: response.records || [] };
     } catch (error) {
       console.error('❌ Default search failed:', error.message);
       console.error('  Stack:', error.stack);
-      return { accounts: [], contacts: [], cases: [], opportunities: [] };
+      return { Case: [] };
     }
   }
 
@@ -567,23 +885,26 @@ Return JSON:
     if (!params.keywords || params.keywords.length === 0) return null;
     
     const timeCondition = params.timeRange && params.timeRange !== 'all_time' 
-      ? `AND ${this.getTimeCondition(params.timeRange)}` 
-      : '';
+      ? this.getTimeCondition(params.timeRange) 
+      : null;
     
     // Search for cases where Account name contains any of the keywords
-    const accountConditions = params.keywords.map(keyword => 
-      `Account.Name LIKE '%${keyword}%'`
-    ).join(' OR ');
+    const accountConditions = or(...params.keywords.map(keyword => contains('Account.Name', keyword)));
     
-    return `SELECT Id, CaseNumber, Subject, Status, CreatedDate, Account.Name, Account.AnnualRevenue, Contact.Name FROM Case WHERE (${accountConditions}) ${timeCondition} ORDER BY CreatedDate DESC LIMIT 1000`;
+    return new SOQLBuilder('Case', { isFieldAllowed: field => this.fieldExists('Case', field) })
+      .select(['Id', 'CaseNumber', 'Subject', 'Status', 'CreatedDate', 'Account.Name', 'Account.AnnualRevenue', 'Contact.Name'])
+      .where(accountConditions, timeCondition)
+      .orderBy('CreatedDate', 'DESC')
+      .limit(1000)
+      .build();
   }
 
   // Helper: Discover records using SOSL
   async discoverRecordsWithSOSL(objectType, keywords) {
     const keywordString = this.sanitizeKeywords(keywords).join(' ');
-    const soslQuery = `FIND {${keywordString}} RETURNING ${objectType}(Id)`;
     
     try {
+      const soslQuery = buildSOSLQuery(keywordString, [{ objectType }]);
       const response = await this.salesforceService.executeSOSLQuery(soslQuery);
       return response.searchRecords ? response.searchRecords.map(r => r.Id) : [];
     } catch (error) {
@@ -608,75 +929,91 @@ Return JSON:
 
   // Helper: Build SOQL query with all filters
   buildSOQLQuery(objectType, params, recordIds = null) {
+    // Only fields that exist in this org (per describe) may be selected or filtered on
+    const query = new SOQLBuilder(objectType, { isFieldAllowed: field => this.fieldExists(objectType, field) });
     let conditions = [];
     
     // ID filter from SOSL results
     if (recordIds && recordIds.length > 0) {
-      conditions.push(`Id IN ('${recordIds.join("','")}')`);
+      conditions.push(condition('Id', 'IN', recordIds));
     }
     
     // Time-based filters
-    if (params.timeRange && params.timeRange !== 'all_time') {
+    const hasCreatedDate = this.fieldExists(objectType, 'CreatedDate');
+    if (params.timeRange && params.timeRange !== 'all_time' && hasCreatedDate) {
       const timeCondition = this.getTimeCondition(params.timeRange);
       conditions.push(timeCondition);
       console.log(`  ⏰ Time filter: ${timeCondition}`);
     }
     
     // Object-specific filters
+    conditions.push(...this.getObjectFilters(objectType, params));
+    
+    query.select(this.getFieldsForObject(objectType)).where(...conditions).limit(1000);
+    if (hasCreatedDate) {
+      query.orderBy('CreatedDate', 'DESC');
+    }
+    const finalQuery = query.build();
+    
+    console.log(`  🔍 Generated SOQL for ${objectType}:`);
+    console.log(`    ${finalQuery}`);
+    
+    return finalQuery;
+  }
+
+  // Helper: Filters for the object's structured search parameters
+  getObjectFilters(objectType, params) {
+    const filters = [];
+    
     switch (objectType) {
       case 'Opportunity':
         const oppFilters = this.getOpportunityFilters(params);
-        conditions.push(...oppFilters);
+        filters.push(...oppFilters);
         if (oppFilters.length > 0) {
           console.log(`  💰 Opportunity filters: ${oppFilters.join(', ')}`);
         }
         break;
       case 'Case':
         const caseFilters = this.getCaseFilters(params);
-        conditions.push(...caseFilters);
+        filters.push(...caseFilters);
         if (caseFilters.length > 0) {
           console.log(`  🎫 Case filters: ${caseFilters.join(', ')}`);
         }
         break;
       case 'Account':
         const accFilters = this.getAccountFilters(params);
-        conditions.push(...accFilters);
+        filters.push(...accFilters);
         if (accFilters.length > 0) {
           console.log(`  🏢 Account filters: ${accFilters.join(', ')}`);
         }
         break;
       case 'Contact':
         const conFilters = this.getContactFilters(params);
-        conditions.push(...conFilters);
+        filters.push(...conFilters);
         if (conFilters.length > 0) {
           console.log(`  👤 Contact filters: ${conFilters.join(', ')}`);
         }
         break;
     }
     
-    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-    const fields = this.getFieldsForObject(objectType);
-    
-    const finalQuery = `SELECT ${fields} FROM ${objectType} ${whereClause} ORDER BY CreatedDate DESC LIMIT 1000`;
-    
-    console.log(`  🔍 Generated SOQL for ${objectType}:`);
-    console.log(`    ${finalQuery}`);
-    
-    return finalQuery;
+    return filters;
   }
 
-  // Helper: Get time condition for SOQL
-  getTimeCondition(timeRange) {
+  // Helper: Get time condition for SOQL (on CreatedDate unless another date field is given)
+  getTimeCondition(timeRange, dateField = 'CreatedDate') {
     const timeMap = {
-      'today': 'CreatedDate = TODAY',
-      'yesterday': 'CreatedDate = YESTERDAY',
-      'this_week': 'CreatedDate = THIS_WEEK',
-      'this_month': 'CreatedDate = THIS_MONTH',
-      'last_30_days': 'CreatedDate = LAST_N_DAYS:30',
-      'last_90_days': 'CreatedDate = LAST_N_DAYS:90',
-      'last_6_months': 'CreatedDate = LAST_N_DAYS:180'
+      'today': dateLiteral('TODAY'),
+      'yesterday': dateLiteral('YESTERDAY'),
+      'this_week': dateLiteral('THIS_WEEK'),
+      'this_month': dateLiteral('THIS_MONTH'),
+      'last_30_days': dateLiteral('LAST_N_DAYS', 30),
+      'last_90_days': dateLiteral('LAST_N_DAYS', 90),
+      'last_6_months': dateLiteral('LAST_N_DAYS', 180),
+      'this_quarter': dateLiteral('THIS_QUARTER'),
+      'last_quarter': dateLiteral('LAST_QUARTER'),
+      'this_year': dateLiteral('THIS_YEAR')
     };
-    return timeMap[timeRange] || 'CreatedDate = LAST_N_DAYS:30';
+    return condition(dateField, '=', timeMap[timeRange] || dateLiteral('LAST_N_DAYS', 30));
   }
 
   // Helper: Get opportunity-specific filters
@@ -686,29 +1023,32 @@ Return JSON:
     if (params.opportunityStage) {
       switch (params.opportunityStage) {
         case 'open':
-          filters.push('IsClosed = false');
+          filters.push(condition('IsClosed', '=', false));
                   break;
         case 'closed':
-          filters.push('IsClosed = true');
+          filters.push(condition('IsClosed', '=', true));
                   break;
         case 'won':
-          filters.push('IsWon = true');
+          filters.push(condition('IsWon', '=', true));
                   break;
         case 'lost':
-          filters.push('IsWon = false AND IsClosed = true');
+          filters.push(and(condition('IsWon', '=', false), condition('IsClosed', '=', true)));
           break;
         case 'in_flight':
-          filters.push('IsClosed = false AND StageName NOT IN (\'Closed Won\', \'Closed Lost\')');
+          filters.push(and(condition('IsClosed', '=', false), condition('StageName', 'NOT IN', ['Closed Won', 'Closed Lost'])));
                   break;
       }
     }
     
-    if (params.minAmount) {
-      filters.push(`Amount >= ${params.minAmount}`);
+    // Amounts come from the LLM as strings - ignore anything that isn't a number
+    const minAmount = Number(params.minAmount);
+    if (params.minAmount && Number.isFinite(minAmount)) {
+      filters.push(condition('Amount', '>=', minAmount));
     }
     
-    if (params.maxAmount) {
-      filters.push(`Amount <= ${params.maxAmount}`);
+    const maxAmount = Number(params.maxAmount);
+    if (params.maxAmount && Number.isFinite(maxAmount)) {
+      filters.push(condition('Amount', '<=', maxAmount));
     }
     
     return filters;
@@ -721,19 +1061,19 @@ Return JSON:
     if (params.caseStatus) {
       switch (params.caseStatus) {
         case 'open':
-          filters.push('IsClosed = false');
+          filters.push(condition('IsClosed', '=', false));
           break;
         case 'closed':
-          filters.push('IsClosed = true');
+          filters.push(condition('IsClosed', '=', true));
           break;
         case 'escalated':
-          filters.push('IsEscalated = true');
+          filters.push(condition('IsEscalated', '=', true));
           break;
       }
     }
     
     if (params.casePriority) {
-      filters.push(`Priority = '${params.casePriority}'`);
+      filters.push(condition('Priority', '=', this.matchPicklistValue('Case', 'Priority', params.casePriority)));
     }
     
     return filters;
@@ -744,12 +1084,16 @@ Return JSON:
     const filters = [];
     
     if (params.accountType) {
-      filters.push(`Type = '${params.accountType}'`);
+      filters.push(condition('Type', '=', this.matchPicklistValue('Account', 'Type', params.accountType)));
     }
     
     if (params.accountHealth) {
-      // This would need to be mapped to actual field values in your Salesforce
-      filters.push(`Health__c = '${params.accountHealth}'`);
+      // Custom field - skipped in orgs that don't have it
+      if (this.fieldExists('Account', 'Health__c')) {
+        filters.push(condition('Health__c', '=', this.matchPicklistValue('Account', 'Health__c', params.accountHealth)));
+      } else {
+        console.log('  ⚠️ Account.Health__c does not exist in this org, skipping health filter');
+      }
     }
     
     return filters;
@@ -760,8 +1104,12 @@ Return JSON:
     const filters = [];
     
     if (params.contactRole) {
-      // This would need to be mapped to actual field values in your Salesforce
-      filters.push(`Role__c = '${params.contactRole}'`);
+      // Custom field - skipped in orgs that don't have it
+      if (this.fieldExists('Contact', 'Role__c')) {
+        filters.push(condition('Role__c', '=', this.matchPicklistValue('Contact', 'Role__c', params.contactRole)));
+      } else {
+        console.log('  ⚠️ Contact.Role__c does not exist in this org, skipping role filter');
+      }
     }
     
     return filters;
@@ -775,6 +1123,55 @@ Return JSON:
     return Array.isArray(objectTypes) ? objectTypes : [objectTypes];
   }
 
+  // Helper: Results map with an empty list per object type, keyed by API name
+  createEmptyResults(objectTypes) {
+    const results = {};
+    objectTypes.forEach(objectType => {
+      results[objectType] = [];
+    });
+    return results;
+  }
+
+  // Helper: Keep only object types this org can query, matching API names case-insensitively
+  async resolveObjectTypes(objectTypes) {
+    const requested = this.getObjectTypesToSearch(objectTypes);
+    
+    let sobjects;
+    try {
+      sobjects = await this.salesforceService.describeGlobal();
+    } catch (error) {
+      console.error('⚠️ Describe global failed, searching requested objects as-is:', error.message);
+      return requested.filter(objectType => /^[A-Za-z][A-Za-z0-9_]*$/.test(objectType));
+    }
+    
+    const resolved = [];
+    requested.forEach(objectType => {
+      const sobject = sobjects.find(o => o.queryable && o.name.toLowerCase() === String(objectType).toLowerCase());
+      if (sobject) {
+        resolved.push(sobject.name);
+      } else {
+        console.log(`  ⚠️ ${objectType} is not a queryable object in this org, skipping`);
+      }
+    });
+    
+    return resolved.length > 0 ? resolved : this.getObjectTypesToSearch('all');
+  }
+
+  // Helper: Custom object API names for the planner prompt
+  async getCustomObjectNames() {
+    if (!this.salesforceService) return [];
+    
+    try {
+      const sobjects = await this.salesforceService.describeGlobal();
+      return sobjects
+        .filter(sobject => sobject.custom && sobject.queryable && sobject.name.endsWith('__c'))
+        .map(sobject => sobject.name);
+    } catch (error) {
+      console.error('⚠️ Could not list custom objects:', error.message);
+      return [];
+    }
+  }
+
   // Helper: Get fields for each object type
   getFieldsForObject(objectType) {
     const fieldMap = {
@@ -783,7 +1180,96 @@ Return JSON:
       'Opportunity': 'Id, Name, StageName, Amount, CloseDate, CreatedDate, Account.Name, Account.AnnualRevenue',
       'Contact': 'Id, Name, Email, Phone, Title, CreatedDate, Account.Name, Account.AnnualRevenue'
     };
-    return fieldMap[objectType] || 'Id, Name, CreatedDate';
+    if (!fieldMap[objectType]) {
+      return this.getGenericFields(objectType);
+    }
+    
+    const fields = fieldMap[objectType].split(', ');
+    
+    // Without a describe result we can't check, so send the default list
+    if (!this.schemas[objectType]) {
+      return fields.join(', ');
+    }
+    return fields.filter(field => field === 'Id' || this.fieldExists(objectType, field)).join(', ');
+  }
+
+  // Helper: Pick a useful field list for any other object from its describe result
+  getGenericFields(objectType) {
+    const schema = this.schemas[objectType];
+    if (!schema) {
+      return 'Id, Name, CreatedDate';
+    }
+    
+    const systemFields = ['Id', 'IsDeleted', 'CreatedById', 'LastModifiedDate', 'LastModifiedById', 'SystemModstamp', 'LastActivityDate', 'LastViewedDate', 'LastReferencedDate'];
+    const usefulTypes = ['string', 'picklist', 'currency', 'double', 'int', 'percent', 'date', 'datetime', 'boolean', 'email', 'phone'];
+    
+    const nameField = schema.fields.find(field => field.nameField);
+    const otherFields = schema.fields
+      .filter(field => !field.nameField && !systemFields.includes(field.name) && usefulTypes.includes(field.type))
+      .slice(0, 8)
+      .map(field => field.name);
+    
+    return ['Id', nameField?.name, ...otherFields].filter(Boolean).join(', ');
+  }
+
+  // Helper: Describe the objects about to be queried (cached per team by SalesforceService)
+  async loadSchemas(objectTypes) {
+    for (const objectType of objectTypes) {
+      if (this.schemas[objectType]) continue;
+      try {
+        this.schemas[objectType] = await this.salesforceService.describeObject(objectType);
+      } catch (error) {
+        console.error(`⚠️ Describe failed for ${objectType}, using default fields:`, error.message);
+      }
+    }
+  }
+
+  // Helper: Check a field (or relationship path like Account.Name) against the describe result.
+  // Unknown objects are assumed to have the field so that a failed describe doesn't drop filters.
+  fieldExists(objectType, fieldPath) {
+    const schema = this.schemas[objectType];
+    if (!schema) return true;
+    
+    const [first, ...rest] = fieldPath.split('.');
+    if (rest.length > 0) {
+      return schema.fields.some(field => field.relationshipName === first);
+    }
+    return schema.fields.some(field => field.name === first);
+  }
+
+  // Helper: Map a loose value like "high" or "closed_won" onto the org's actual picklist value
+  matchPicklistValue(objectType, fieldName, value) {
+    const field = this.schemas[objectType]?.fields.find(f => f.name === fieldName);
+    if (!field || field.picklistValues.length === 0) return value;
+    
+    const normalize = text => String(text).toLowerCase().replace(/[_\s]+/g, ' ').trim();
+    const match = field.picklistValues.find(picklistValue => normalize(picklistValue) === normalize(value));
+    return match || value;
+  }
+
+  // Helper: Real Status/Priority/StageName values for the planner prompt
+  async getPicklistContext() {
+    if (!this.salesforceService) return '';
+    
+    const picklists = [
+      ['Case', 'Status'],
+      ['Case', 'Priority'],
+      ['Opportunity', 'StageName']
+    ];
+    
+    try {
+      const lines = [];
+      for (const [objectType, fieldName] of picklists) {
+        const values = await this.salesforceService.getPicklistValues(objectType, fieldName);
+        if (values.length > 0) {
+          lines.push(`- ${objectType}.${fieldName}: ${values.join(', ')}`);
+        }
+      }
+      return lines.length > 0 ? `\nPicklist values in this Salesforce org (use these exact values):\n${lines.join('\n')}\n` : '';
+    } catch (error) {
+      console.error('⚠️ Could not load picklist values for planner:', error.message);
+      return '';
+    }
   }
 
   // Helper: Check if keywords are actually searchable or just filter values
@@ -805,7 +1291,8 @@ Return JSON:
     return !allFilterKeywords;
   }
 
-  // Helper: Sanitize keywords (handle special characters like &)
+  // Helper: Sanitize keywords (handle special characters like &).
+  // This only improves matching - SOSL escaping happens in buildSOSLQuery.
   sanitizeKeywords(keywords) {
     return keywords.map(keyword => 
       keyword.replace(/[&%*?~]/g, ' ')  // Replace special chars with spaces
@@ -844,6 +1331,12 @@ Return JSON:
       params.objectTypes = ['Account'];
     } else if (lowerQuery.includes('contact') || lowerQuery.includes('person')) {
       params.objectTypes = ['Contact'];
+    } else if (lowerQuery.includes('lead')) {
+      params.objectTypes = ['Lead'];
+    } else if (lowerQuery.includes('task') || lowerQuery.includes('activit')) {
+      params.objectTypes = ['Task'];
+    } else if (lowerQuery.includes('asset')) {
+      params.objectTypes = ['Asset'];
     } else {
       params.objectTypes = ['Case', 'Account', 'Opportunity', 'Contact']; // Default to all
     }
@@ -932,6 +1425,1052 @@ Provide insights about patterns, priorities, and recommendations based on the se
     }
   }
 
+  isWriteTool(toolName) {
+    return WRITE_TOOLS.includes(toolName);
+  }
+
+  async createCase(params) {
+    if (!this.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+
+    try {
+      if (!params.subject) {
+        throw new Error('A subject is required to create a case');
+      }
+
+      const fields = {
+        Subject: params.subject,
+        Description: params.description || '',
+        Priority: params.priority || 'Medium'
+      };
+      if (params.origin) {
+        fields.Origin = params.origin;
+      }
+      if (params.accountName) {
+        fields.AccountId = await this.findAccountId(params.accountName);
+      }
+
+      const created = await this.salesforceService.createCase(fields);
+      const response = await this.salesforceService.executeSOQLQuery(
+        new SOQLBuilder('Case').select(['Id', 'CaseNumber']).where(condition('Id', '=', created.id)).build()
+      );
+      const caseNumber = response.records?.[0]?.CaseNumber || created.id;
+
+      return {
+        success: true,
+        toolName: 'create_case',
+        data: { id: created.id, caseNumber, url: `${this.salesforceService.instanceUrl}/${created.id}` },
+        message: `Created case ${caseNumber}: ${params.subject}`,
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Create case error:', error);
+      return {
+        success: false,
+        toolName: 'create_case',
+        error: error.message
+      };
+    }
+  }
+
+  async updateCaseStatus(params) {
+    if (!this.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+
+    try {
+      if (!params.status) {
+        throw new Error('A status is required to update a case');
+      }
+
+      const caseRecord = await this.resolveCase(params.caseId);
+      await this.salesforceService.updateCaseStatus(caseRecord.Id, params.status);
+
+      return {
+        success: true,
+        toolName: 'update_case_status',
+        data: { id: caseRecord.Id, caseNumber: caseRecord.CaseNumber, url: `${this.salesforceService.instanceUrl}/${caseRecord.Id}` },
+        message: `Case ${caseRecord.CaseNumber} status changed from ${caseRecord.Status} to ${params.status}`,
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Update case status error:', error);
+      return {
+        success: false,
+        toolName: 'update_case_status',
+        error: error.message
+      };
+    }
+  }
+
+  async addCaseComment(params) {
+    if (!this.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+
+    try {
+      if (!params.comment) {
+        throw new Error('Comment text is required');
+      }
+
+      const caseRecord = await this.resolveCase(params.caseId);
+      const isPublic = params.isPublic === true || params.isPublic === 'true';
+      await this.salesforceService.addCaseComment(caseRecord.Id, params.comment, isPublic);
+
+      return {
+        success: true,
+        toolName: 'add_case_comment',
+        data: { id: caseRecord.Id, caseNumber: caseRecord.CaseNumber, url: `${this.salesforceService.instanceUrl}/${caseRecord.Id}` },
+        message: `Added ${isPublic ? 'public' : 'internal'} comment to case ${caseRecord.CaseNumber}`,
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Add case comment error:', error);
+      return {
+        success: false,
+        toolName: 'add_case_comment',
+        error: error.message
+      };
+    }
+  }
+
+  async createJiraFromCase(params) {
+    if (!this.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+    if (!this.jiraService.isConfigured()) {
+      throw new Error('Jira not connected');
+    }
+
+    try {
+      const projectKey = String(params.projectKey || this.team.jira_default_project || '').trim().toUpperCase();
+      if (!projectKey) {
+        throw new Error('A Jira project key is required (no default project is set for this workspace)');
+      }
+      if (!JIRA_PROJECT_KEY.test(projectKey)) {
+        throw new Error(`Invalid Jira project key: ${params.projectKey}`);
+      }
+
+      const { Id: caseId } = await this.resolveCase(params.caseId);
+      const response = await this.salesforceService.executeSOQLQuery(
+        new SOQLBuilder('Case')
+          .select(['Id', 'CaseNumber', 'Subject', 'Description', 'Priority', 'Status', 'Account.Name'])
+          .where(condition('Id', '=', caseId))
+          .build()
+      );
+      const caseRecord = response.records[0];
+      const caseUrl = `${this.salesforceService.instanceUrl}/${caseId}`;
+
+      const [existing] = await CaseJiraLink.findByCaseIds(this.team.id, [caseId]);
+      if (existing) {
+        throw new Error(`Case ${caseRecord.CaseNumber} is already linked to ${existing.jira_issue_key}`);
+      }
+
+      const summary = String(params.summary || caseRecord.Subject || `Salesforce case ${caseRecord.CaseNumber}`);
+      const issue = await this.jiraService.createIssue({
+        projectKey,
+        issueType: params.issueType || 'Bug',
+        summary: summary.substring(0, MAX_JIRA_SUMMARY_LENGTH),
+        description: [
+          caseRecord.Description || '',
+          [
+            `Salesforce case: ${caseRecord.CaseNumber} (${caseUrl})`,
+            `Account: ${caseRecord.Account?.Name || 'None'}`,
+            `Priority: ${caseRecord.Priority || 'None'}`
+          ].join('\n')
+        ].join('\n\n').trim(),
+        labels: ['salesforce-case']
+      });
+
+      await CaseJiraLink.create(this.team.id, {
+        caseId,
+        caseNumber: caseRecord.CaseNumber,
+        issueKey: issue.key,
+        issueId: issue.id
+      });
+
+      // The issue exists either way, so a failed write-back is reported rather than failing the tool
+      let writeBackNote = '';
+      const keyField = this.team.jira_case_key_field;
+      if (keyField) {
+        try {
+          await this.salesforceService.updateRecord('Case', caseId, { [keyField]: issue.key });
+        } catch (error) {
+          console.error('Jira key write-back failed:', error.message);
+          writeBackNote = ` (could not save the key to ${keyField}: ${error.message})`;
+        }
+      }
+
+      return {
+        success: true,
+        toolName: 'create_jira_from_case',
+        data: {
+          issueKey: issue.key,
+          issueId: issue.id,
+          url: issue.url,
+          linkLabel: 'open in Jira',
+          caseId,
+          caseNumber: caseRecord.CaseNumber,
+          caseUrl
+        },
+        message: `Created ${issue.key} from case ${caseRecord.CaseNumber}${writeBackNote}`,
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Create Jira from case error:', error);
+      return {
+        success: false,
+        toolName: 'create_jira_from_case',
+        error: error.message
+      };
+    }
+  }
+
+  async addJiraComment(params) {
+    if (!this.jiraService.isConfigured()) {
+      throw new Error('Jira not connected');
+    }
+
+    try {
+      const issueKey = JiraService.normalizeIssueKey(params.issueKey);
+      if (!params.comment) {
+        throw new Error('Comment text is required');
+      }
+
+      const { body, mentionCount, unresolved } = await this.buildJiraComment(params.comment);
+      const comment = await this.jiraService.addComment(issueKey, body);
+
+      let message = `Commented on ${issueKey}`;
+      if (mentionCount > 0) {
+        message += ` mentioning ${mentionCount} user${mentionCount === 1 ? '' : 's'}`;
+      }
+      if (unresolved.length > 0) {
+        message += ` (no Jira user found for ${unresolved.join(', ')})`;
+      }
+
+      return {
+        success: true,
+        toolName: 'add_jira_comment',
+        data: { id: comment.id, url: comment.url, linkLabel: 'open in Jira' },
+        message,
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Add Jira comment error:', error);
+      return {
+        success: false,
+        toolName: 'add_jira_comment',
+        error: error.message
+      };
+    }
+  }
+
+  async transitionJiraIssue(params) {
+    if (!this.jiraService.isConfigured()) {
+      throw new Error('Jira not connected');
+    }
+
+    try {
+      const issueKey = JiraService.normalizeIssueKey(params.issueKey);
+      const target = String(params.status || '').trim().toLowerCase();
+      if (!target) {
+        throw new Error('A target status is required');
+      }
+
+      // Match the transition name ("Start Progress") or the status it leads to ("In Progress")
+      const transitions = await this.jiraService.getTransitions(issueKey);
+      const transition = transitions.find(candidate => candidate.to?.name?.toLowerCase() === target) ||
+        transitions.find(candidate => candidate.name?.toLowerCase() === target);
+      if (!transition) {
+        const available = [...new Set(transitions.map(candidate => candidate.to?.name || candidate.name))];
+        throw new Error(`${issueKey} can't move to "${params.status}" from its current status. ` +
+          (available.length > 0 ? `Available: ${available.join(', ')}` : 'No transitions are available.'));
+      }
+
+      await this.jiraService.transitionIssue(issueKey, transition.id);
+
+      return {
+        success: true,
+        toolName: 'transition_jira_issue',
+        data: { issueKey, status: transition.to?.name || transition.name, url: this.jiraService.getIssueUrl(issueKey), linkLabel: 'open in Jira' },
+        message: `Moved ${issueKey} to ${transition.to?.name || transition.name}`,
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Transition Jira issue error:', error);
+      return {
+        success: false,
+        toolName: 'transition_jira_issue',
+        error: error.message
+      };
+    }
+  }
+
+  async assignJiraIssue(params) {
+    if (!this.jiraService.isConfigured()) {
+      throw new Error('Jira not connected');
+    }
+
+    try {
+      const issueKey = JiraService.normalizeIssueKey(params.issueKey);
+      const assignee = String(params.assignee || '').trim();
+      if (!assignee) {
+        throw new Error('An assignee is required');
+      }
+
+      let account = { accountId: null, name: 'Unassigned' };
+      if (assignee.toLowerCase() !== 'unassigned') {
+        account = await this.resolveJiraAccount(assignee);
+      }
+
+      await this.jiraService.assignIssue(issueKey, account.accountId);
+
+      return {
+        success: true,
+        toolName: 'assign_jira_issue',
+        data: { issueKey, accountId: account.accountId, url: this.jiraService.getIssueUrl(issueKey), linkLabel: 'open in Jira' },
+        message: account.accountId ? `Assigned ${issueKey} to ${account.name}` : `Unassigned ${issueKey}`,
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Assign Jira issue error:', error);
+      return {
+        success: false,
+        toolName: 'assign_jira_issue',
+        error: error.message
+      };
+    }
+  }
+
+  // Helper: Atlassian account for "me", a Slack mention or an email address, matched by email
+  async resolveJiraAccount(value) {
+    const mention = value.match(/^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$/);
+    let email = value;
+    let name = value;
+
+    if (value.toLowerCase() === 'me' || mention) {
+      const slackUserId = mention ? mention[1] : this.slackUserId;
+      const slackUser = slackUserId ? await this.getSlackUser(slackUserId) : null;
+      if (!slackUser?.email) {
+        throw new Error(`Couldn't find an email address for ${mention ? value : 'you'} in Slack`);
+      }
+      email = slackUser.email;
+      name = slackUser.name;
+    } else if (!/^[^\s@]+@[^\s@]+$/.test(value)) {
+      throw new Error(`Use "me", an email address or a Slack mention to pick a Jira assignee, not "${value}"`);
+    }
+
+    const accountId = await this.jiraService.findAccountIdByEmail(email);
+    if (!accountId) {
+      throw new Error(`No Jira user found with the email ${email} (it may be hidden in their Atlassian profile)`);
+    }
+    return { accountId, name };
+  }
+
+  // Helper: Comment body in ADF with Slack mentions mapped onto Jira users. Comments are posted with the
+  // token of whoever connected Jira, so say who in Slack actually wrote it.
+  async buildJiraComment(comment) {
+    const mentions = {};
+    const unresolved = [];
+
+    for (const match of comment.matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)) {
+      const slackUserId = match[1];
+      if (mentions[slackUserId]) continue;
+
+      const slackUser = await this.getSlackUser(slackUserId);
+      const accountId = slackUser?.email ? await this.jiraService.findAccountIdByEmail(slackUser.email) : null;
+      mentions[slackUserId] = { accountId, name: slackUser?.name || slackUserId };
+      if (!accountId) {
+        unresolved.push(mentions[slackUserId].name);
+      }
+    }
+
+    let text = comment;
+    const author = this.slackUserId ? await this.getSlackUser(this.slackUserId) : null;
+    if (author) {
+      text += `\n\n(posted from Slack by ${author.name})`;
+    }
+
+    return {
+      body: textToAdf(text, { mentions }),
+      mentionCount: Object.values(mentions).filter(mention => mention.accountId).length,
+      unresolved
+    };
+  }
+
+  // Helper: Look up a case by record ID or case number
+  async resolveCase(caseIdOrNumber) {
+    const value = String(caseIdOrNumber || '').trim();
+    let lookup;
+
+    if (isRecordId(value) && value.startsWith('500')) {
+      lookup = condition('Id', '=', value);
+    } else if (/^\d+$/.test(value)) {
+      lookup = condition('CaseNumber', '=', value);
+    } else {
+      throw new Error(`Invalid case ID or number: ${caseIdOrNumber}`);
+    }
+
+    const response = await this.salesforceService.executeSOQLQuery(
+      new SOQLBuilder('Case').select(['Id', 'CaseNumber', 'Status']).where(lookup).limit(1).build()
+    );
+    const caseRecord = response.records?.[0];
+    if (!caseRecord) {
+      throw new Error(`Case ${value} not found`);
+    }
+    return caseRecord;
+  }
+
+  // Helper: Look up an account ID by exact name
+  async findAccountId(accountName) {
+    const response = await this.salesforceService.executeSOQLQuery(
+      new SOQLBuilder('Account').where(condition('Name', '=', accountName)).limit(1).build()
+    );
+    const account = response.records?.[0];
+    if (!account) {
+      throw new Error(`Account "${accountName}" not found`);
+    }
+    return account.Id;
+  }
+
+  async aggregateSalesforce(params) {
+    if (!this.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+
+    try {
+      if (!params.objectType || Array.isArray(params.objectType) && params.objectType.length !== 1) {
+        throw new Error('Exactly one objectType is required for an aggregate');
+      }
+      const [objectType] = await this.resolveObjectTypes(params.objectType);
+      if (!objectType) {
+        throw new Error(`${params.objectType} is not queryable in this org`);
+      }
+      await this.loadSchemas([objectType]);
+
+      const metric = String(params.metric || 'count').toLowerCase();
+      const fn = AGGREGATE_METRICS[metric];
+      if (!fn) {
+        throw new Error(`Unsupported metric "${params.metric}" - use count, sum, avg, min or max`);
+      }
+      if (metric !== 'count' && !params.field) {
+        throw new Error(`A field is required for ${metric}`);
+      }
+
+      const field = metric === 'count' ? 'Id' : this.resolveFieldName(objectType, params.field, 'aggregatable');
+      const groupByInput = Array.isArray(params.groupBy) ? params.groupBy : (params.groupBy ? [params.groupBy] : []);
+      if (groupByInput.length > 2) {
+        throw new Error('Group by at most two fields');
+      }
+      const groupBy = groupByInput.map(groupField => this.resolveFieldName(objectType, groupField, 'groupable'));
+
+      // Filters shared by the grouped query and the overall total
+      const conditions = this.getObjectFilters(objectType, params);
+      if (params.timeRange && params.timeRange !== 'all_time') {
+        const dateField = params.dateField ? this.resolveFieldName(objectType, params.dateField) : 'CreatedDate';
+        if (this.fieldExists(objectType, dateField)) {
+          conditions.push(this.getTimeCondition(params.timeRange, dateField));
+        }
+      }
+
+      const newQuery = () => new SOQLBuilder(objectType, { isFieldAllowed: fieldPath => this.fieldExists(objectType, fieldPath) })
+        .where(...conditions);
+      const totalQuery = newQuery().aggregate(fn, field, 'value').build();
+      const queries = [totalQuery];
+      if (groupBy.length > 0) {
+        queries.push(newQuery()
+          .groupBy(groupBy, groupBy.map((groupField, index) => `group${index}`))
+          .aggregate(fn, field, 'value')
+          .orderByAggregate(fn, field, 'DESC')
+          .limit(MAX_AGGREGATE_GROUPS)
+          .build());
+      }
+
+      this.lastExecutedQueries = queries.map(query => ({ type: 'SOQL', query }));
+      queries.forEach(query => console.log(`  🧮 Aggregate SOQL: ${query}`));
+
+      // Total and breakdown in one composite call
+      const [totalResult, groupedResult] = await this.salesforceService.executeSOQLBatch(queries);
+      [totalResult, groupedResult].forEach(result => {
+        if (result && !result.success) {
+          throw new Error(`Aggregate query failed: ${result.error}`);
+        }
+      });
+
+      const groups = groupedResult
+        ? (groupedResult.data.records || []).map(record => ({
+            keys: groupBy.map((groupField, index) => record[`group${index}`] ?? null),
+            value: record.value ?? 0
+          }))
+        : [];
+
+      return {
+        success: true,
+        toolName: 'aggregate_salesforce',
+        data: {
+          objectType,
+          metric,
+          field: metric === 'count' ? null : field,
+          groupBy,
+          total: totalResult.data.records?.[0]?.value ?? 0,
+          groups,
+          truncated: groups.length === MAX_AGGREGATE_GROUPS
+        },
+        executedQueries: this.lastExecutedQueries,
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Aggregate error:', error);
+      return {
+        success: false,
+        toolName: 'aggregate_salesforce',
+        error: error.message
+      };
+    }
+  }
+
+  // Helper: Map a loose field name ("stage", "Close Date") onto its API name and,
+  // when a capability like 'groupable' is given, check the field supports it
+  resolveFieldName(objectType, fieldName, capability = null) {
+    const name = String(fieldName).trim();
+    const schema = this.schemas[objectType];
+    if (!schema || name.includes('.')) {
+      if (!this.fieldExists(objectType, name)) {
+        throw new Error(`${objectType} has no relationship for ${name}`);
+      }
+      return name;
+    }
+
+    const normalize = text => String(text).toLowerCase().replace(/[_\s]+/g, '');
+    const wanted = normalize(name);
+    const field = schema.fields.find(f => normalize(f.name) === wanted) ||
+      schema.fields.find(f => normalize(f.label) === wanted);
+    if (!field) {
+      throw new Error(`${objectType} has no field named ${name}`);
+    }
+    if (capability && field[capability] === false) {
+      throw new Error(`${objectType}.${field.name} is not ${capability}`);
+    }
+    return field.name;
+  }
+
+  async searchKnowledge(params) {
+    if (!this.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+
+    try {
+      const term = this.sanitizeKeywords([String(params.query || '')]).join(' ');
+      if (!term) {
+        throw new Error('Search keywords are required');
+      }
+
+      const limit = Math.min(Math.max(parseInt(params.limit, 10) || 5, 1), 20);
+      const articles = await this.salesforceService.searchKnowledge(term, {
+        language: params.language || 'en_US',
+        publishStatus: params.publishStatus || 'Online',
+        limit
+      });
+
+      return {
+        success: true,
+        toolName: 'search_knowledge',
+        data: { articles },
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Knowledge search error:', error);
+      return {
+        success: false,
+        toolName: 'search_knowledge',
+        error: error.message
+      };
+    }
+  }
+
+  async searchJira(params) {
+    if (!this.jiraService.isConfigured()) {
+      throw new Error('Jira not connected');
+    }
+
+    try {
+      const result = await this.jiraService.search({
+        text: params.query,
+        projects: params.projects,
+        issueTypes: params.issueTypes,
+        statusCategory: params.statusCategory,
+        assignee: params.assignee,
+        labels: params.labels,
+        timeRange: params.timeRange,
+        dateField: params.dateField,
+        startAt: params.startAt,
+        maxResults: params.maxResults
+      });
+
+      return {
+        success: true,
+        toolName: 'search_jira',
+        data: {
+          ...result,
+          siteUrl: this.jiraService.baseUrl
+        },
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Jira search error:', error);
+      return {
+        success: false,
+        toolName: 'search_jira',
+        error: error.message
+      };
+    }
+  }
+
+  async searchZendesk(params) {
+    if (!this.zendeskService.isConfigured()) {
+      throw new Error('Zendesk not connected');
+    }
+
+    try {
+      const limit = Math.min(Math.max(parseInt(params.limit, 10) || 5, 1), 20);
+      const tickets = await this.zendeskService.searchTickets(params.query, { limit });
+
+      return {
+        success: true,
+        toolName: 'search_zendesk',
+        data: {
+          tickets,
+          siteUrl: this.zendeskService.baseUrl
+        },
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Zendesk search error:', error);
+      return {
+        success: false,
+        toolName: 'search_zendesk',
+        error: error.message
+      };
+    }
+  }
+
+  async getRecordDetails(params) {
+    if (!this.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+
+    try {
+      const recordId = await this.resolveRecordId(params.recordId);
+      let objectType = params.objectType;
+      if (!objectType) {
+        objectType = await this.salesforceService.getObjectTypeForId(recordId);
+      }
+
+      const [record, schema] = await Promise.all([
+        this.salesforceService.getRecord(objectType, recordId),
+        this.salesforceService.describeObject(objectType)
+      ]);
+      if (!record) {
+        throw new Error(`${objectType} ${recordId} not found`);
+      }
+
+      return {
+        success: true,
+        toolName: 'get_record_details',
+        data: {
+          objectType,
+          record,
+          url: `${this.salesforceService.instanceUrl}/${recordId}`,
+          relatedLists: await this.getRelatedLists(objectType, recordId, schema)
+        },
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Get record details error:', error);
+      return {
+        success: false,
+        toolName: 'get_record_details',
+        error: error.message
+      };
+    }
+  }
+
+  // Helper: Accept a record ID or a case number (case numbers are all digits; record IDs never are)
+  async resolveRecordId(value) {
+    const input = String(value || '').trim();
+    if (/^\d+$/.test(input)) {
+      return (await this.resolveCase(input)).Id;
+    }
+    if (!isRecordId(input)) {
+      throw new Error(`Invalid record ID or case number: ${value}`);
+    }
+    return input;
+  }
+
+  async getChatterFeed(params) {
+    if (!this.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+
+    try {
+      const recordId = await this.resolveRecordId(params.recordId);
+      const pageSize = Math.min(Math.max(parseInt(params.limit, 10) || 10, 1), 50);
+      const feed = await this.salesforceService.getRecordFeed(recordId, { pageSize });
+
+      return {
+        success: true,
+        toolName: 'get_chatter_feed',
+        data: {
+          recordId,
+          url: `${this.salesforceService.instanceUrl}/${recordId}`,
+          feed
+        },
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Get Chatter feed error:', error);
+      return {
+        success: false,
+        toolName: 'get_chatter_feed',
+        error: error.message
+      };
+    }
+  }
+
+  async postChatter(params) {
+    if (!this.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+
+    try {
+      if (!params.message) {
+        throw new Error('Message text is required');
+      }
+
+      const recordId = await this.resolveRecordId(params.recordId);
+      const { segments, unresolved } = await this.buildChatterSegments(params.message, params.mentions);
+      const feedItem = await this.salesforceService.postFeedItem(recordId, segments);
+      const mentionCount = segments.filter(segment => segment.type === 'Mention').length;
+
+      let message = `Posted to the Chatter feed of ${params.recordId}`;
+      if (mentionCount > 0) {
+        message += ` mentioning ${mentionCount} user${mentionCount === 1 ? '' : 's'}`;
+      }
+      if (unresolved.length > 0) {
+        message += ` (no Salesforce user found for ${unresolved.join(', ')})`;
+      }
+
+      return {
+        success: true,
+        toolName: 'post_chatter',
+        data: { id: feedItem.id, url: `${this.salesforceService.instanceUrl}/${recordId}` },
+        message,
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Post Chatter error:', error);
+      return {
+        success: false,
+        toolName: 'post_chatter',
+        error: error.message
+      };
+    }
+  }
+
+  // Helper: Split a message into Chatter text and mention segments. Slack mentions (<@U123>) are
+  // matched to active Salesforce users by email; anyone we can't match stays as plain "@name" text.
+  async buildChatterSegments(message, mentionEmails = []) {
+    const segments = [];
+    const unresolved = [];
+    const mentionPattern = /<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g;
+    let lastIndex = 0;
+    let match;
+
+    const pushText = text => {
+      if (text) segments.push({ type: 'Text', text });
+    };
+
+    while ((match = mentionPattern.exec(message)) !== null) {
+      pushText(message.slice(lastIndex, match.index));
+      lastIndex = mentionPattern.lastIndex;
+
+      const slackUser = await this.getSlackUser(match[1]);
+      const userId = slackUser?.email ? await this.salesforceService.findUserIdByEmail(slackUser.email) : null;
+      if (userId) {
+        segments.push({ type: 'Mention', id: userId });
+      } else {
+        const name = slackUser?.name || match[1];
+        unresolved.push(name);
+        pushText(`@${name}`);
+      }
+    }
+    pushText(message.slice(lastIndex));
+
+    const emails = Array.isArray(mentionEmails) ? mentionEmails : (mentionEmails ? [mentionEmails] : []);
+    for (const email of emails) {
+      const userId = await this.salesforceService.findUserIdByEmail(email);
+      if (userId) {
+        pushText(' ');
+        segments.push({ type: 'Mention', id: userId });
+      } else {
+        unresolved.push(email);
+      }
+    }
+
+    return { segments, unresolved };
+  }
+
+  // Helper: Slack profile email and display name (needs the users:read.email scope)
+  async getSlackUser(slackUserId) {
+    if (!this.slackClient) return null;
+
+    try {
+      const response = await this.slackClient.users.info({ user: slackUserId });
+      const profile = response.user?.profile || {};
+      return {
+        email: profile.email || null,
+        name: profile.display_name || profile.real_name || response.user?.name || slackUserId
+      };
+    } catch (error) {
+      console.error(`Slack user lookup failed for ${slackUserId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Helper: Most recent children for each configured related list, in one composite batch.
+  // Relationships missing from the org (e.g. Email-to-Case disabled) are skipped.
+  async getRelatedLists(objectType, recordId, schema) {
+    const relationships = (RELATED_LISTS[objectType] || [])
+      .map(name => schema.childRelationships.find(relationship => relationship.relationshipName === name))
+      .filter(Boolean);
+    if (relationships.length === 0) {
+      return {};
+    }
+
+    const queries = relationships.map(relationship => {
+      const config = RELATED_LIST_FIELDS[relationship.childSObject] || { fields: ['Id', 'Name'], orderBy: 'CreatedDate' };
+      return new SOQLBuilder(relationship.childSObject)
+        .select(config.fields)
+        .where(condition(relationship.field, '=', recordId))
+        .orderBy(config.orderBy, 'DESC')
+        .limit(MAX_RELATED_RECORDS)
+        .build();
+    });
+
+    const results = await this.salesforceService.executeSOQLBatch(queries);
+    const relatedLists = {};
+    results.forEach((result, index) => {
+      const { relationshipName } = relationships[index];
+      if (!result.success) {
+        console.error(`⚠️ Related list ${relationshipName} failed:`, result.error);
+        return;
+      }
+      relatedLists[relationshipName] = result.data.records || [];
+    });
+    return relatedLists;
+  }
+
+  async runReport(params) {
+    if (!this.salesforceService) {
+      throw new Error('Salesforce not connected');
+    }
+
+    try {
+      const report = await this.resolveReport(params);
+      if (!report) {
+        // No specific report asked for (or no match) - list what's available instead
+        const reports = await this.salesforceService.listReports(params.reportName);
+        const fallbackReports = reports.length > 0 || !params.reportName ? reports : await this.salesforceService.listReports();
+        return {
+          success: true,
+          toolName: 'run_report',
+          data: {
+            notFound: params.reportName || null,
+            reports: fallbackReports.map(item => ({ ...item, url: this.getReportUrl(item.id) }))
+          },
+          parameters: params
+        };
+      }
+
+      const description = await this.salesforceService.describeReport(report.id);
+      const overrides = this.parseReportFilters(params.filters, description);
+      const runOptions = {
+        includeDetails: params.includeDetails === true || params.includeDetails === 'true'
+      };
+
+      if (overrides.length > 0) {
+        Object.assign(runOptions, this.mergeReportFilters(description.reportMetadata, overrides));
+        console.log(`📈 Report filter overrides: ${overrides.map(f => `${f.column} ${f.operator} ${f.value}`).join(', ')}`);
+      }
+
+      const response = await this.salesforceService.runReport(report.id, runOptions);
+
+      return {
+        success: true,
+        toolName: 'run_report',
+        data: this.summarizeReport(response),
+        parameters: params
+      };
+    } catch (error) {
+      console.error('Run report error:', error);
+      return {
+        success: false,
+        toolName: 'run_report',
+        error: error.message
+      };
+    }
+  }
+
+  // Helper: Find the report by ID, or the best name match (exact name wins over partial)
+  async resolveReport(params) {
+    if (params.reportId) {
+      return { id: params.reportId };
+    }
+    if (!params.reportName) {
+      return null;
+    }
+
+    const matches = await this.salesforceService.listReports(params.reportName);
+    const wanted = params.reportName.toLowerCase();
+    return matches.find(report => report.name.toLowerCase() === wanted) || matches[0] || null;
+  }
+
+  getReportUrl(reportId) {
+    return `${this.salesforceService.instanceUrl}/lightning/r/Report/${reportId}/view`;
+  }
+
+  // Helper: Turn "Region equals APAC" / {column, operator, value} into Analytics API filters,
+  // matching the column against the report's API names and labels
+  parseReportFilters(filters, description) {
+    if (!filters) return [];
+    const list = Array.isArray(filters) ? filters : [filters];
+    const extended = description.reportExtendedMetadata || {};
+    const columns = {
+      ...(extended.detailColumnInfo || {}),
+      ...(extended.groupingColumnInfo || {})
+    };
+    (description.reportMetadata?.reportFilters || []).forEach(filter => {
+      if (!columns[filter.column]) {
+        columns[filter.column] = { label: filter.column };
+      }
+    });
+
+    const operatorPattern = Object.keys(REPORT_FILTER_OPERATORS)
+      .filter(operator => /^[a-z]+$/.test(operator))
+      .join('|');
+
+    return list.map(filter => {
+      let column, operator, value;
+      if (typeof filter === 'object' && filter !== null) {
+        ({ column, operator = 'equals', value } = filter);
+      } else {
+        const match = String(filter).match(new RegExp(`^(.+?)\\s+(${operatorPattern})\\s+(.+)$`, 'i')) ||
+          String(filter).match(/^(.+?)\s*(!=|>=|<=|=|<|>)\s*(.+)$/);
+        if (!match) {
+          throw new Error(`Could not understand report filter "${filter}" - use "column operator value"`);
+        }
+        [, column, operator, value] = match;
+      }
+
+      const apiOperator = REPORT_FILTER_OPERATORS[String(operator).trim().toLowerCase()];
+      if (!apiOperator) {
+        throw new Error(`Unsupported report filter operator: ${operator}`);
+      }
+
+      return {
+        column: this.matchReportColumn(String(column).trim(), columns),
+        operator: apiOperator,
+        value: String(value).trim()
+      };
+    });
+  }
+
+  matchReportColumn(column, columns) {
+    const wanted = column.toLowerCase();
+    const entries = Object.entries(columns);
+    const match = entries.find(([name]) => name.toLowerCase() === wanted) ||
+      entries.find(([, info]) => info.label?.toLowerCase() === wanted) ||
+      entries.find(([, info]) => info.label?.toLowerCase().includes(wanted));
+
+    if (!match) {
+      const available = entries.map(([, info]) => info.label).filter(Boolean).join(', ');
+      throw new Error(`Report has no column matching "${column}". Available columns: ${available}`);
+    }
+    return match[0];
+  }
+
+  // Helper: Overrides replace saved filters on the same column; new ones are ANDed onto any boolean filter logic
+  mergeReportFilters(reportMetadata, overrides) {
+    const reportFilters = (reportMetadata.reportFilters || []).map(filter => ({ ...filter }));
+    let reportBooleanFilter = reportMetadata.reportBooleanFilter || null;
+
+    overrides.forEach(override => {
+      const existing = reportFilters.find(filter => filter.column === override.column);
+      if (existing) {
+        existing.operator = override.operator;
+        existing.value = override.value;
+      } else {
+        reportFilters.push(override);
+        if (reportBooleanFilter) {
+          reportBooleanFilter = `(${reportBooleanFilter}) AND ${reportFilters.length}`;
+        }
+      }
+    });
+
+    return { reportFilters, reportBooleanFilter };
+  }
+
+  // Helper: Reduce an Analytics API response to totals, nested groupings and (capped) detail rows
+  summarizeReport(response) {
+    const metadata = response.reportMetadata || {};
+    const extended = response.reportExtendedMetadata || {};
+    const factMap = response.factMap || {};
+
+    const aggregateLabels = (metadata.aggregates || []).map(key => extended.aggregateColumnInfo?.[key]?.label || key);
+    const aggregatesFor = key => (factMap[key]?.aggregates || []).map((aggregate, index) => ({
+      label: aggregateLabels[index] || `Aggregate ${index + 1}`,
+      value: aggregate.label
+    }));
+
+    const mapGroupings = groupings => (groupings || []).map(grouping => ({
+      label: grouping.label,
+      aggregates: aggregatesFor(`${grouping.key}!T`),
+      groupings: mapGroupings(grouping.groupings)
+    }));
+
+    const columns = (metadata.detailColumns || []).map(column => extended.detailColumnInfo?.[column]?.label || column);
+
+    // Detail rows sit under the innermost groupings ("0_1!T" in summary reports, "0!2" in matrix
+    // reports), or under "T!T" when the report isn't grouped
+    const leafKeys = groupings => (groupings?.length
+      ? groupings.flatMap(grouping => grouping.groupings?.length ? leafKeys(grouping.groupings) : [grouping.key])
+      : ['T']);
+    const acrossKeys = leafKeys(response.groupingsAcross?.groupings);
+    const detailRows = leafKeys(response.groupingsDown?.groupings)
+      .flatMap(downKey => acrossKeys.flatMap(acrossKey => factMap[`${downKey}!${acrossKey}`]?.rows || []));
+
+    return {
+      report: {
+        id: metadata.id,
+        name: metadata.name,
+        format: metadata.reportFormat,
+        url: this.getReportUrl(metadata.id)
+      },
+      filters: (metadata.reportFilters || []).map(filter => ({
+        column: extended.detailColumnInfo?.[filter.column]?.label || filter.column,
+        operator: filter.operator,
+        value: filter.value
+      })),
+      totals: aggregatesFor('T!T'),
+      groupings: mapGroupings(response.groupingsDown?.groupings),
+      columns,
+      rows: detailRows.slice(0, MAX_REPORT_ROWS).map(row => row.dataCells.map(cell => cell.label)),
+      totalRows: detailRows.length,
+      allData: response.allData !== false
+    };
+  }
+
   async askClarification(params) {
     return {
       success: true,
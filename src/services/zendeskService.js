@@ -0,0 +1,134 @@
+const axios = require('axios');
+
+const ZENDESK_API_PATH = '/api/v2';
+const SUBDOMAIN = /^[a-z0-9][a-z0-9-]*$/;
+// Zendesk orders statuses new < open < pending < hold < solved < closed
+const UNRESOLVED_STATUSES = 'status<solved';
+
+class ZendeskService {
+  // Each team connects its own Zendesk account with an API token (see /setup/zendesk)
+  constructor(team) {
+    this.team = team;
+    this.subdomain = team?.zendesk_subdomain || null;
+    this.email = team?.zendesk_email || null;
+    this.apiToken = team?.zendesk_api_token || null;
+    this.baseUrl = this.subdomain ? `https://${this.subdomain}.zendesk.com` : null;
+  }
+
+  // Accepts "acme", "acme.zendesk.com" or a full URL such as https://acme.zendesk.com/agent
+  static normalizeSubdomain(value) {
+    const host = String(value || '').trim().toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .split('/')[0];
+    const subdomain = host.endsWith('.zendesk.com') ? host.slice(0, -'.zendesk.com'.length) : host;
+    if (!SUBDOMAIN.test(subdomain)) {
+      throw new Error(`Invalid Zendesk subdomain: ${value}`);
+    }
+    return subdomain;
+  }
+
+  // Search terms are matched as a phrase, so quotes are the only syntax that needs removing
+  static buildSearchQuery(searchTerm) {
+    const phrase = String(searchTerm || '').replace(/["\s]+/g, ' ').trim();
+    if (!phrase) {
+      throw new Error('Zendesk search text is empty');
+    }
+    return `type:ticket ${UNRESOLVED_STATUSES} "${phrase}"`;
+  }
+
+  isConfigured() {
+    return Boolean(this.subdomain && this.email && this.apiToken);
+  }
+
+  getAuthHeaders() {
+    return {
+      'Authorization': `Basic ${Buffer.from(`${this.email}/token:${this.apiToken}`).toString('base64')}`,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+  }
+
+  async request(method, path, { params, data } = {}, label) {
+    if (!this.isConfigured()) {
+      throw new Error('Zendesk not connected for this team');
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${ZENDESK_API_PATH}${path}`,
+        headers: this.getAuthHeaders(),
+        params,
+        data,
+        timeout: 30000 // 30 second timeout
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 401) {
+        throw new Error('Zendesk authentication failed. Please reconnect Zendesk.');
+      }
+
+      console.error(`${label} failed:`, error.response?.data || error.message);
+      const message = error.response?.data?.description || error.response?.data?.error;
+      throw new Error(`${label} failed: ${typeof message === 'string' ? message : error.message}`);
+    }
+  }
+
+  // Used by the setup page to check credentials before saving them
+  async verifyCredentials() {
+    let data;
+    try {
+      data = await this.request('get', '/users/me.json', {}, 'Zendesk credential check');
+    } catch (error) {
+      if (error.message.includes('authentication')) {
+        throw new Error('Zendesk rejected these credentials. Check the email and API token.');
+      }
+      throw new Error(`Could not reach Zendesk at ${this.baseUrl}: ${error.message}`);
+    }
+
+    // Zendesk answers unauthenticated requests with an anonymous user rather than an error
+    if (!data.user?.id) {
+      throw new Error('Zendesk rejected these credentials. Check the email and API token.');
+    }
+    return data.user;
+  }
+
+  // Unsolved tickets matching the text, newest activity first. Requesters, assignees and
+  // organizations are sideloaded and attached to each ticket.
+  async searchTickets(searchTerm, { limit = 5 } = {}) {
+    if (!this.isConfigured()) {
+      console.log('Zendesk not configured, skipping Zendesk search');
+      return [];
+    }
+
+    const data = await this.request('get', '/search.json', {
+      params: {
+        query: ZendeskService.buildSearchQuery(searchTerm),
+        sort_by: 'updated_at',
+        sort_order: 'desc',
+        per_page: limit,
+        include: 'tickets(users,organizations)'
+      }
+    }, 'Zendesk search');
+
+    const users = new Map((data.users || []).map(user => [user.id, user]));
+    const organizations = new Map((data.organizations || []).map(organization => [organization.id, organization]));
+
+    return (data.results || [])
+      .filter(result => result.result_type === 'ticket')
+      .map(ticket => ({
+        ...ticket,
+        requester: users.get(ticket.requester_id) || null,
+        assignee: users.get(ticket.assignee_id) || null,
+        organization: organizations.get(ticket.organization_id) || null
+      }));
+  }
+
+  // Agent interface link; the ticket's own url field points at the API
+  getTicketUrl(ticketId) {
+    return `${this.baseUrl}/agent/tickets/${ticketId}`;
+  }
+}
+
+module.exports = ZendeskService;